@@ -0,0 +1,57 @@
+/* eslint-disable no-console */
+
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+import FraktoAuditor from '../src/index.mjs';
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { performance } from 'node:perf_hooks';
+
+/**
+ * Audits the same file repeatedly and returns the average duration in milliseconds.
+ *
+ * @param {FraktoAuditor} auditor - The auditor to use.
+ * @param {object}        request - The audit request.
+ * @param {object}        options - Object containing the number of `runs` and whether to `clear` caches between runs.
+ * @returns {Promise<number>}
+ */
+const measure = async (auditor, request, options) => {
+	const start = performance.now();
+
+	for (let i = 0; i < options.runs; i++) {
+		if (options.clear) auditor.clearCaches();
+		await auditor.audit(request.language, request);
+	}
+
+	return (performance.now() - start) / options.runs;
+};
+
+// Benchmark
+(async () => {
+	const runs     = Number(process.argv[2]) || 20;
+	const filePath = fileURLToPath(new URL('../src/tools/emoji-linter/index.mjs', import.meta.url));
+	const request = {
+		mode: 'both',
+		content: readFileSync(filePath, 'utf8'),
+		filePath,
+		language: 'javascript',
+		fileName: path.basename(filePath),
+		linterStandard: 'Frakto',
+		workspacePath: path.dirname(filePath)
+	};
+
+	const auditor = new FraktoAuditor();
+
+	// Warm up module imports so both runs only measure the per-audit cost
+	await auditor.audit(request.language, request);
+
+	const cold = await measure(auditor, request, { runs, clear: true });
+	const warm = await measure(auditor, request, { runs, clear: false });
+
+	console.log(`Audited ${path.basename(filePath)} ${runs} times in "both" mode`);
+	console.log(`Without cache: ${cold.toFixed(1)} ms per audit`);
+	console.log(`With cache:    ${warm.toFixed(1)} ms per audit`);
+	console.log(`Speed-up:      ${(cold / warm).toFixed(2)}x`);
+})();
@@ -6,87 +6,647 @@ import pc from 'picocolors';
 import path from 'node:path';
 import process from 'node:process';
 import fraktoAuditor from '../src/index.mjs';
+import ResultCache from '../src/utils/cache.mjs';
+import Baseline from '../src/utils/baseline.mjs';
 
-import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import { watchPaths } from '../src/utils/watch.mjs';
+import { createUnifiedDiff } from '../src/utils/diff.mjs';
+import { defaultCacheLocation } from '../src/utils/cache.mjs';
+import { defaultBaselineLocation } from '../src/utils/baseline.mjs';
+import { installHooks, uninstallHooks } from '../src/utils/hooks.mjs';
+import { loadReporter, getDefaultReporter } from '../src/reporters/index.mjs';
+import { loadDocumentedRules, renderRuleExplanation } from '../src/utils/rule-docs.mjs';
+import { writeStagedFile, getRepositoryRoot, hasUnstagedChanges } from '../src/utils/git.mjs';
+
+/**
+ * Process exit codes, from the most to the least successful outcome.
+ */
+const exitCodes = {
+	clean: 0,
+	warnings: 1,
+	errors: 2,
+	fatal: 3
+};
+
+/**
+ * Prints a colored unified diff between the original and the formatted content.
+ *
+ * @param {string} relativePath - The path of the file relative to the working directory.
+ * @param {string} content      - The original content.
+ * @param {string} formatted    - The formatted content.
+ * @returns {void}
+ */
+const printDiff = (relativePath, content, formatted) => {
+	const diff = createUnifiedDiff(content, formatted, { oldName: `a/${relativePath}`, newName: `b/${relativePath}` });
+
+	diff
+		.trimEnd()
+		.split('\n')
+		.forEach((line) => {
+			if (line.startsWith('---') || line.startsWith('+++')) {
+				console.log(pc.bold(line));
+			}
+			else if (line.startsWith('@@')) {
+				console.log(pc.cyan(line));
+			}
+			else if (line.startsWith('-')) {
+				console.log(pc.red(line));
+			}
+			else if (line.startsWith('+')) {
+				console.log(pc.green(line));
+			}
+			else {
+				console.log(line.startsWith('\\') ? pc.dim(line) : line);
+			}
+		});
+
+	console.log('');
+};
+
+/**
+ * Prints the final summary of all audited files.
+ *
+ * @param {object}   totals - Object containing the audit counters.
+ * @param {function} log    - The function printing each line.
+ * @returns {void}
+ */
+const printSummary = (totals, log) => {
+	const problems = totals.errors + totals.warnings;
+	const summary  = `${problems} problems (${totals.errors} errors, ${totals.warnings} warnings) in ${totals.files} files`;
+
+	if (0 < totals.unformatted) {
+		log(pc.red(pc.bold(`${totals.unformatted} files need formatting`)));
+	}
+
+	if (0 < totals.crashed) {
+		log(pc.red(pc.bold(`${totals.crashed} files could not be audited`)));
+	}
+
+	if (0 < totals.errors) {
+		log(pc.red(pc.bold(summary)));
+	}
+	else if (0 < totals.warnings) {
+		log(pc.yellow(pc.bold(summary)));
+	}
+	else if (!totals.unformatted && !totals.crashed) {
+		log(pc.green(pc.bold(`No problems found in ${totals.files} files`)));
+	}
+};
+
+/**
+ * Prints the baseline entries that are no longer reported, so the baseline can be tightened.
+ *
+ * @param {any[]}    fixed - The fixed entries, each containing its `relativePath`, `code`, `message` and `count`.
+ * @param {function} log   - The function printing each line.
+ * @returns {void}
+ */
+const printFixedBaseline = (fixed, log) => {
+	if (!fixed.length) return;
+
+	const count = fixed.reduce((total, entry) => total + entry.count, 0);
+	log(pc.green(pc.bold(`${count} baseline entries are fixed. Run with --write-baseline to remove them:`)));
+
+	fixed.forEach((entry) => {
+		const times = 1 < entry.count ? pc.dim(` (x${entry.count})`) : '';
+		log(`  ${entry.relativePath} ${entry.message} ${pc.dim(entry.code)}${times}`);
+	});
+};
+
+/**
+ * Resolves the process exit code from the audit counters.
+ *
+ * @param {object} totals      - Object containing the audit counters.
+ * @param {number} maxWarnings - The number of warnings tolerated, -1 for no limit.
+ * @returns {number}
+ */
+const getExitCode = (totals, maxWarnings) => {
+	if (0 < totals.crashed) {
+		return exitCodes.fatal;
+	}
+
+	if (0 < totals.errors || 0 < totals.unformatted || (-1 < maxWarnings && maxWarnings < totals.warnings)) {
+		return exitCodes.errors;
+	}
+
+	if (0 < totals.warnings) {
+		return exitCodes.warnings;
+	}
+
+	return exitCodes.clean;
+};
+
+/**
+ * Reads the whole standard input.
+ *
+ * @returns {Promise<string>}
+ */
+const readStdin = async () => {
+	let content = '';
+
+	process.stdin.setEncoding('utf8');
+	for await (const chunk of process.stdin) content += chunk;
+
+	return content;
+};
+
+/**
+ * Audits the content piped to stdin as if it were the file at a virtual path. Format mode prints the formatted
+ * content, the other modes print a JSON payload with the diagnostics.
+ *
+ * @param {string} virtualPath - The path used to infer the language and resolve the project configuration.
+ * @param {object} context     - Object containing the `mode`, forced `language`, `auditor` and `maxWarnings`.
+ * @throws {Error} If the language cannot be inferred or the audit fails.
+ * @returns {Promise<number>}
+ */
+const auditStdin = async (virtualPath, context) => {
+	const filePath = path.resolve(virtualPath);
+	const content  = await readStdin();
+	const result   = await context.auditor.auditFile(filePath, { mode: context.mode, language: context.language, content });
+
+	if (result.skipped) {
+		throw new Error(`Cannot infer the language of ${virtualPath}.`);
+	}
+
+	if (result.error) {
+		throw result.error;
+	}
+
+	const diagnostics = result.diagnostics;
+	const errors      = diagnostics.filter((diagnostic) => 'ERROR' === diagnostic.type).length;
+
+	if ('format' === context.mode) {
+		process.stdout.write(result.formatted ?? result.content);
+	}
+	else {
+		const payload = {
+			filePath,
+			language: result.language,
+			ignored: result.ignored,
+			...('both' === context.mode && { formatted: result.formatted ?? result.content }),
+			diagnostics
+		};
+
+		console.log(JSON.stringify(payload));
+	}
+
+	const totals = { errors, warnings: diagnostics.length - errors, unformatted: 0, crashed: 0 };
+	return getExitCode(totals, context.maxWarnings);
+};
+
+/**
+ * Drops the diagnostics of a result matched by the baseline, recording them first with --write-baseline, and
+ * collects the baseline entries that are no longer reported.
+ *
+ * @param {object} result  - The result returned by `auditFile`.
+ * @param {object} context - Object containing the `baseline`, `writeBaseline` flag and `fixed` entries.
+ * @returns {any[]}
+ */
+const filterBaselined = (result, context) => {
+	if (!context.baseline) return result.diagnostics;
+
+	// Diagnostics refer to the formatted content when formatters ran and their output is written
+	const relativePath = path.relative(process.cwd(), result.filePath);
+	const linted       = context.auditOptions.lintOriginal ? result.content : (result.formatted ?? result.content);
+
+	if (context.writeBaseline) {
+		context.baseline.record(result.filePath, linted, result.diagnostics);
+	}
+
+	const matched = context.baseline.match(result.filePath, linted, result.diagnostics);
+	matched.fixed.forEach((entry) => context.fixed.push({ relativePath, ...entry }));
+
+	return matched.diagnostics;
+};
+
+/**
+ * Reports the result of a single file, writing formatted content when requested.
+ *
+ * @param {object} result  - The result returned by `auditFile`.
+ * @param {object} context - Object containing the audit flags, `totals` counters, `baseline`, `reports` and `log` function.
+ * @returns {void}
+ */
+const reportResult = (result, context) => {
+	const { mode, totals } = context;
+	const relativePath = path.relative(process.cwd(), result.filePath);
+
+	if (result.skipped) {
+		console.error(pc.yellow(`Skipping unsupported file: ${relativePath}`));
+		return;
+	}
+
+	if (result.error) {
+		console.error(`${pc.red('Failed')} ${relativePath}: ${result.error.message}`);
+		return;
+	}
+
+	if (result.ignored) {
+		return;
+	}
+
+	if (['format', 'both'].includes(mode) && null !== result.formatted && result.formatted !== result.content) {
+		if (context.diff) {
+			printDiff(relativePath, result.content, result.formatted);
+		}
+
+		if (context.check) {
+			totals.unformatted++;
+			context.log(`${pc.red('Needs formatting')} ${relativePath}`);
+		}
+		else if (!context.diff && context.gitRoot && hasUnstagedChanges(context.gitRoot, result.filePath)) {
+			// Writing back would mix the unstaged hunks into the index or drop them from the working tree
+			totals.unformatted++;
+			context.log(`${pc.red('Needs formatting')} ${relativePath} ${pc.dim('(unstaged changes, stage or stash them)')}`);
+		}
+		else if (!context.diff) {
+			if (context.gitRoot) {
+				writeStagedFile(context.gitRoot, result.filePath, result.formatted);
+			}
+
+			writeFileSync(result.filePath, result.formatted, 'utf8');
+			context.log(`${pc.green('Formatted')} ${relativePath}`);
+		}
+	}
+
+	if (['lint', 'both'].includes(mode)) {
+		context.reports.push({ filePath: result.filePath, diagnostics: result.diagnostics });
+	}
+};
+
+/**
+ * Watches the audited paths and re-audits the touched files with the warm auditor of the initial run,
+ * redrawing the outstanding diagnostics of every file after each batch of changes.
+ *
+ * @param {string[]} patterns - The files, directories or glob patterns to watch.
+ * @param {object}   context  - The context of the initial run, including its `reports`.
+ * @returns {function}
+ */
+const startWatch = (patterns, context) => {
+	const outstanding = new Map(context.reports.map((report) => [report.filePath, report]));
+	let queue = Promise.resolve();
+
+	/**
+	 * Prints the outstanding diagnostics and the summary of all watched files.
+	 *
+	 * @param {object} cycle - The context of the last run.
+	 * @returns {Promise<void>}
+	 */
+	const redraw = async (cycle) => {
+		const reports = [...outstanding.values()].sort((a, b) => a.filePath.localeCompare(b.filePath));
+		const totals  = { ...cycle.totals, files: reports.length, errors: 0, warnings: 0 };
+
+		reports.forEach((report) => {
+			totals.errors += report.diagnostics.filter((diagnostic) => 'ERROR' === diagnostic.type).length;
+			totals.warnings += report.diagnostics.filter((diagnostic) => 'ERROR' !== diagnostic.type).length;
+		});
+
+		const report = ['lint', 'both'].includes(cycle.mode) ? await cycle.reporter(reports, { cwd: process.cwd() }) : '';
+		if (report) {
+			console.log(report);
+		}
+
+		printSummary(totals, cycle.log);
+		cycle.log(pc.dim(`[${new Date().toLocaleTimeString()}] Watching for changes...`));
+		process.exitCode = getExitCode(totals, -1);
+	};
+
+	/**
+	 * Re-audits the changed files that are still part of the audited paths.
+	 *
+	 * @param {Set<string>|null} changed - The changed paths, null to re-audit every file.
+	 * @throws {Error} Path expansion errors are printed and the batch is skipped.
+	 * @returns {Promise<void>}
+	 */
+	const rerun = async (changed) => {
+		let current;
+		try {
+			current = new Set(context.auditor.listFiles(patterns));
+		}
+		catch (error) {
+			console.error(pc.red('Error:'), error.message);
+			return;
+		}
+
+		const candidates = changed ? [...changed] : [...current];
+		const touched    = candidates.filter((filePath) => current.has(filePath));
+
+		// Forget files that were deleted or no longer match
+		const removed = [...outstanding.keys()].filter((filePath) => !current.has(filePath));
+		removed.forEach((filePath) => outstanding.delete(filePath));
+
+		if (!touched.length && !removed.length) return;
+
+		const cycle = { ...context, reports: [], fixed: [] };
+
+		/**
+		 * Filters the baselined diagnostics of a result of this cycle.
+		 *
+		 * @param {object} result - The result returned by `auditFile`.
+		 * @returns {any[]}
+		 */
+		const filter = (result) => filterBaselined(result, cycle);
+
+		const { results, totals } = await cycle.auditor.auditFiles(touched, { ...cycle.auditOptions, filter });
+		cycle.totals = { ...totals, unformatted: 0 };
+
+		if (process.stdout.isTTY) console.clear();
+
+		results.forEach((result) => reportResult(result, cycle));
+		touched.forEach((filePath) => outstanding.delete(filePath));
+
+		cycle.reports.forEach((report) => outstanding.set(report.filePath, report));
+		cycle.cache?.save();
+
+		await redraw(cycle);
+	};
+
+	/**
+	 * Queues a batch of changes, so batches are audited one after the other.
+	 *
+	 * @param {Set<string>|null} changed - The changed paths.
+	 * @returns {void}
+	 */
+	const onChange = (changed) => {
+		queue = queue.then(() => rerun(changed));
+	};
+
+	context.log(pc.dim('Watching for changes...'));
+
+	return watchPaths(patterns, { cwd: process.cwd(), delay: 100, onChange });
+};
+
+/**
+ * Installs or removes the Frakto git hooks of the current repository and prints what changed.
+ *
+ * @param {string} command - Either `install-hooks` or `uninstall-hooks`.
+ * @throws {Error} Hook errors are printed and exit with the fatal exit code.
+ * @returns {void}
+ */
+const manageHooks = (command) => {
+	try {
+		const root    = getRepositoryRoot(process.cwd());
+		const results = 'install-hooks' === command ? installHooks(root) : uninstallHooks(root);
+
+		results.forEach((result) => {
+			const target = path.relative(process.cwd(), result.path);
+			const status = 'missing' === result.action ? pc.dim('not installed') : pc.green(result.action);
+			console.log(`${status} ${target}${result.husky ? pc.dim(' (husky)') : ''}`);
+		});
+	}
+	catch (error) {
+		console.error(pc.red('Error:'), error.message);
+		process.exit(exitCodes.fatal);
+	}
+};
+
+/**
+ * Prints the rationale, options and examples of a rule, named with or without its `frakto/` prefix.
+ *
+ * @param {string} name - The rule name.
+ * @returns {Promise<void>}
+ */
+const explainRule = async (name) => {
+	const rules = await loadDocumentedRules();
+	const rule  = rules.get(name) || rules.get(`frakto/${name}`);
+
+	if (!rule) {
+		console.error(pc.red(`Unknown rule: ${name || '(none)'}`));
+		console.error(pc.yellow(`Documented rules: ${[...rules.keys()].join(', ')}`));
+		process.exit(exitCodes.fatal);
+	}
+
+	console.log(renderRuleExplanation(rule));
+};
+
+/**
+ * Prints the usage help and exits with the fatal exit code.
+ *
+ * @param {string} message - The error message to print before the usage.
+ * @returns {void}
+ */
+const exitWithUsage = (message) => {
+	console.error(pc.red(message));
+	console.error(pc.yellow('Usage: fraktoAudit <mode> <paths...> [options]'));
+	console.error(pc.yellow('       fraktoAudit commit-msg <file> [options]'));
+	console.error(pc.yellow('       fraktoAudit install-hooks | uninstall-hooks'));
+	console.error(pc.yellow('       fraktoAudit explain <rule>'));
+	console.error(pc.yellow('mode: format | lint | both'));
+	console.error(pc.yellow('paths: files, directories or glob patterns'));
+	console.error(pc.yellow('--check             Report files that need formatting without writing them'));
+	console.error(pc.yellow('--diff              Print the formatting changes as a unified diff without writing them'));
+	console.error(pc.yellow('--staged            Audit the staged content of the staged files, for pre-commit hooks'));
+	console.error(pc.yellow('--stdin             Audit the content piped to stdin and print the result to stdout'));
+	console.error(pc.yellow('--stdin-filepath    Virtual path of the stdin content, used to infer its language'));
+	console.error(pc.yellow('--watch             Re-audit the files as they change'));
+	console.error(pc.yellow('--max-warnings <n>  Fail when more than <n> warnings are found'));
+	console.error(pc.yellow('--no-cache          Audit every file instead of replaying cached lint results'));
+	console.error(pc.yellow(`--cache-location    Path of the lint results cache. Default: ${defaultCacheLocation}`));
+	console.error(pc.yellow('--concurrency <n>   Number of files audited in parallel worker threads. Default: auto'));
+	console.error(
+		pc.yellow('--format <name>     Diagnostics reporter: stylish | json | junit | checkstyle | sarif | github | <path>')
+	);
+	process.exit(exitCodes.fatal);
+};
 
 // CLI
 (async () => {
-	const args = process.argv.slice(2);
+	let args;
+	try {
+		args = parseArgs({
+			allowPositionals: true,
+			options: {
+				check: { type: 'boolean', default: false },
+				diff: { type: 'boolean', default: false },
+				staged: { type: 'boolean', default: false },
+				watch: { type: 'boolean', default: false },
+				stdin: { type: 'boolean', default: false },
+				'stdin-filepath': { type: 'string' },
+				'max-warnings': { type: 'string', default: '-1' },
+				'no-cache': { type: 'boolean', default: false },
+				'cache-location': { type: 'string', default: defaultCacheLocation },
+				concurrency: { type: 'string', default: 'auto' },
+				format: { type: 'string' },
+				'write-baseline': { type: 'boolean', default: false },
+				baseline: { type: 'string', default: defaultBaselineLocation }
+			}
+		});
+	}
+	catch (error) {
+		exitWithUsage(error.message);
+	}
+
+	const [command, ...patterns] = args.positionals;
 
-	if (2 > args.length) {
-		console.error(pc.red('Usage: fraktoAudit <mode> <filePath>'));
-		console.error(pc.yellow('mode: format | lint | both'));
-		process.exit(1);
+	if (['install-hooks', 'uninstall-hooks'].includes(command)) {
+		manageHooks(command);
+		return;
 	}
 
-	const [mode, filePath] = args;
+	if ('explain' === command) {
+		await explainRule(patterns[0]);
+		return;
+	}
+
+	// commit-msg lints a single commit message file, e.g. from a commit-msg git hook
+	const language    = 'commit-msg' === command ? 'commit-msg' : null;
+	const mode        = language ? 'lint' : command;
+	const check       = args.values.check;
+	const diff        = args.values.diff;
+	const maxWarnings = Number(args.values['max-warnings']);
 
 	if (!['format', 'lint', 'both'].includes(mode)) {
-		console.error(pc.red('Invalid mode. Use: format | lint | both'));
-		process.exit(1);
+		exitWithUsage('Invalid mode. Use: format | lint | both');
+	}
+
+	if (!patterns.length && !args.values.staged && !args.values.stdin) {
+		exitWithUsage('Missing paths to audit.');
+	}
+
+	if (args.values.stdin && (patterns.length || !args.values['stdin-filepath'])) {
+		exitWithUsage('--stdin expects a --stdin-filepath and no paths.');
+	}
+
+	const stdinConflicts = ['check', 'diff', 'staged', 'watch', 'write-baseline'].filter((name) => args.values[name]);
+	if (args.values.stdin && stdinConflicts.length) {
+		exitWithUsage(`--stdin cannot be combined with --${stdinConflicts.join(', --')}.`);
+	}
+
+	if (language && !args.values.stdin && (1 !== patterns.length || args.values.staged)) {
+		exitWithUsage('commit-msg expects the path of a single commit message file.');
+	}
+
+	if (!Number.isInteger(maxWarnings) || -1 > maxWarnings) {
+		exitWithUsage('Invalid --max-warnings value. Use a non-negative integer.');
+	}
+
+	if (
+		'auto' !== args.values.concurrency &&
+		!(0 < Number(args.values.concurrency) && Number.isInteger(Number(args.values.concurrency)))
+	) {
+		exitWithUsage('Invalid --concurrency value. Use a positive integer or auto.');
+	}
+
+	if (args.values.watch && (language || args.values.staged || args.values['write-baseline'])) {
+		exitWithUsage('--watch cannot be combined with commit-msg, --staged or --write-baseline.');
+	}
+
+	if (args.values['write-baseline'] && 'format' === mode) {
+		exitWithUsage('--write-baseline requires the lint or both mode.');
+	}
+
+	// Keep the colored diff readable in CI, annotations are only auto-selected without --diff
+	const format = args.values.format || (diff ? 'stylish' : getDefaultReporter());
+
+	if (diff && 'stylish' !== format) {
+		exitWithUsage(`--diff cannot be combined with --format ${format}.`);
+	}
+
+	if (args.values.stdin) {
+		try {
+			const context = { mode, language, maxWarnings, auditor: new fraktoAuditor() };
+			process.exitCode = await auditStdin(args.values['stdin-filepath'], context);
+		}
+		catch (error) {
+			console.error(pc.red('Error:'), error.message);
+			process.exit(exitCodes.fatal);
+		}
+
+		return;
 	}
 
 	try {
-		const content = readFileSync(filePath, 'utf8');
-		const ext     = path.extname(filePath).toLowerCase();
-
-		const languageMap = {
-			'.js': 'javascript',
-			'.mjs': 'javascript',
-			'.cjs': 'javascript',
-			'.ts': 'typescript',
-			'.mts': 'typescript',
-			'.cts': 'typescript',
-			'.html': 'html',
-			'.htm': 'html',
-			'.json': 'json',
-			'.jsonc': 'jsonc',
-			'.md': 'markdown',
-			'.markdown': 'markdown',
-			'.php': 'php',
-			'.phtml': 'php',
-			'.css': 'css',
-			'.scss': 'scss',
-			'.sass': 'scss',
-			'.yaml': 'yaml',
-			'.yml': 'yaml'
-		};
+		const gitRoot   = args.values.staged ? path.resolve(getRepositoryRoot(process.cwd())) : null;
+		const auditor   = new fraktoAuditor();
+		const cache     =
+			'lint' === mode && !language && !args.values['no-cache'] ? new ResultCache(args.values['cache-location']) : null;
+
+		const baseline  = 'format' !== mode && !language ? new Baseline(args.values.baseline) : null;
+		const baselined = baseline?.load() || args.values['write-baseline'];
 
-		const language = languageMap[ext];
-		const request = {
+		cache?.load();
+
+		const reporter     = await loadReporter(format, process.cwd());
+		const log          = 'stylish' === format ? console.log : console.error;
+		const reports      = [];
+		const fixed        = [];
+		const auditOptions = { mode, language, cache, lintOriginal: 'both' === mode && (check || diff) };
+		const context = {
 			mode,
-			content,
-			filePath: path.resolve(filePath),
 			language,
-			fileName: path.basename(filePath),
-			linterStandard: 'Frakto',
-			workspacePath: path.dirname(path.resolve(filePath))
+			check,
+			diff,
+			auditor,
+			auditOptions,
+			cache,
+			gitRoot,
+			reports,
+			log,
+			reporter,
+			fixed,
+			baseline: baselined ? baseline : null,
+			writeBaseline: args.values['write-baseline']
 		};
 
-		const auditor  = new fraktoAuditor();
-		const response = await auditor.audit(language, request);
+		/**
+		 * Filters the baselined diagnostics of a result.
+		 *
+		 * @param {object} result - The result returned by `auditFile`.
+		 * @returns {any[]}
+		 */
+		const filter = (result) => filterBaselined(result, context);
 
-		if (['format', 'both'].includes(mode) && null !== response.formatted) {
-			if (response.formatted === content) {
-				console.log(pc.blue('No formatting changes'));
-			}
-			else {
-				writeFileSync(filePath, response.formatted, 'utf8');
-				console.log(pc.green('File formatted'));
-			}
+		const { results, totals } = await auditor.auditFiles(language ? patterns.slice(0, 1) : patterns, {
+			...auditOptions,
+			filter,
+			staged: Boolean(gitRoot),
+			concurrency: args.values.concurrency
+		});
+
+		// Files needing formatting only count when they are not written back, which reportResult decides
+		context.totals = { ...totals, unformatted: 0 };
+
+		if (!results.length) {
+			console.error(pc.yellow('No files matched the given paths.'));
+		}
+
+		results.forEach((result) => reportResult(result, context));
+
+		cache?.save();
+
+		if (args.values['write-baseline']) {
+			baseline.save();
+			log(pc.green(`Baseline written to ${path.relative(process.cwd(), baseline.location)}`));
 		}
 
-		if (['lint', 'both'].includes(mode) && response.diagnostics) {
-			response.diagnostics.forEach((diagnostic) => {
-				const coloredType = 'ERROR' === diagnostic.type ? pc.red(diagnostic.type) : pc.yellow(diagnostic.type);
-				console.log(
-					`${coloredType}: ${diagnostic.message} ${pc.dim(`(line ${diagnostic.line}, column ${diagnostic.column})`)}`
-				);
+		const report = ['lint', 'both'].includes(mode) ? await reporter(reports, { cwd: process.cwd() }) : '';
+		if (report) {
+			console.log(report);
+		}
+
+		if (['lint', 'both'].includes(mode) || check) {
+			printSummary(context.totals, log);
+		}
+
+		printFixedBaseline(fixed, log);
+
+		if (-1 < maxWarnings && maxWarnings < totals.warnings) {
+			log(pc.red(`Too many warnings (${totals.warnings}). Maximum allowed is ${maxWarnings}.`));
+		}
+
+		process.exitCode = getExitCode(context.totals, maxWarnings);
+
+		if (args.values.watch) {
+			const close = startWatch(patterns, context);
+
+			process.on('SIGINT', () => {
+				close();
+				process.exit();
 			});
 		}
 	}
 	catch (error) {
 		console.error(pc.red('Error:'), error.message);
-		process.exit(1);
+		process.exit(exitCodes.fatal);
 	}
 })();
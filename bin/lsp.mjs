@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+// Dependencies
+import process from 'node:process';
+import FraktoLanguageServer from '../src/server/lsp.mjs';
+
+// Language server
+(() => {
+	const server = new FraktoLanguageServer({ input: process.stdin, output: process.stdout });
+	server.listen();
+})();
@@ -3,6 +3,7 @@
 // Dependencies.
 import process from 'node:process';
 import fraktoAuditor from './src/index.mjs';
+import JsonRpcConnection from './src/server/json-rpc.mjs';
 
 /**
  * Throws an error with the specified message.
@@ -39,8 +40,44 @@ export const getPayload = () => {
 	return payload;
 };
 
+/**
+ * Starts the long-lived engine that answers newline-delimited JSON-RPC requests on stdio.
+ * A single auditor is kept warm so tools and plugins are only loaded once.
+ *
+ * @returns {void}
+ */
+export const startServer = () => {
+	const auditor    = new fraktoAuditor();
+	const connection = new JsonRpcConnection({ input: process.stdin, output: process.stdout });
+
+	connection.onRequest('ping', () => 'pong');
+
+	connection.onRequest('audit', (request) => {
+		if (!request || 'object' !== typeof request) {
+			const error = new Error('Invalid audit params: expected a request object.');
+			error.code = JsonRpcConnection.errorCodes.invalidParams;
+			throw error;
+		}
+
+		return auditor.audit(request.language, request);
+	});
+
+	connection.onRequest('shutdown', () => {
+		connection.drain().then(() => process.exit(0));
+		return null;
+	});
+
+	connection.onClose(() => process.exit(0));
+	connection.listen();
+};
+
 // Engine
 (async () => {
+	if (process.argv.includes('--server')) {
+		startServer();
+		return;
+	}
+
 	const request = getPayload();
 	const auditor = new fraktoAuditor();
 	const result  = await auditor.audit(request.language, request);
@@ -0,0 +1,34 @@
+/* eslint-disable no-console */
+
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+
+import { fileURLToPath } from 'node:url';
+import { mkdirSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { getRuleDescription, loadDocumentedRules, renderRuleMarkdown } from '../src/utils/rule-docs.mjs';
+
+// Generate
+(async () => {
+	const docsDir = fileURLToPath(new URL('../docs/rules', import.meta.url));
+	const rules   = [...(await loadDocumentedRules()).values()];
+	const index   = ['<!-- Generated by `npm run docs` from the rule meta, do not edit by hand. -->', '', '# Rules', ''];
+
+	mkdirSync(docsDir, { recursive: true });
+
+	// Drop the pages of removed rules
+	readdirSync(docsDir)
+		.filter((file) => file.endsWith('.md'))
+		.forEach((file) => rmSync(path.join(docsDir, file)));
+
+	rules.forEach((rule) => {
+		writeFileSync(path.join(docsDir, `${rule.name}.md`), renderRuleMarkdown(rule), 'utf8');
+		index.push(
+			`- [${rule.code}](${rule.name}.md): ${getRuleDescription(rule.meta)}${rule.meta.fixable ? ' Fixable.' : ''}`
+		);
+	});
+
+	writeFileSync(path.join(docsDir, 'README.md'), `${index.join('\n')}\n`, 'utf8');
+
+	console.log(`Generated ${rules.length} rule pages in ${path.relative(process.cwd(), docsDir)}`);
+})();
@@ -2,11 +2,49 @@
 import path from 'node:path';
 import prettier from 'prettier';
 import process from 'node:process';
+import WorkerPool from './utils/worker-pool.mjs';
 import emojiLinter from './tools/emoji-linter/index.mjs';
+import CommitLinter from './tools/commit-linter/index.mjs';
 import HTMLFormatter from './tools/html-formatter/index.mjs';
 
-import { ESLint } from 'eslint';
+import { ESLint, Linter } from 'eslint';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
 import { spawn } from 'node:child_process';
+import { availableParallelism } from 'node:os';
+import { readFileSync, statSync } from 'node:fs';
+import { createTextEdits } from './utils/diff.mjs';
+import { mapConcurrent } from './utils/worker-pool.mjs';
+import { getRuleDocsUrl, repositoryUrl } from './utils/rule-docs.mjs';
+import { getStagedFiles, readStagedFile, getRepositoryRoot } from './utils/git.mjs';
+import { createPositionResolver, offsetToPosition, resolveRange } from './utils/range.mjs';
+import { defaultIgnores, detectLanguage, expandPaths, matchesAny, toPosixPath } from './utils/files.mjs';
+import { findProjectConfig, loadPrettierConfig, loadProjectConfig, resolveFileConfig } from './utils/config.mjs';
+
+/**
+ * Root directory of this package, used to resolve the bundled configurations.
+ */
+const packageRoot = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Version of this package, part of the result cache keys.
+ */
+const packageVersion = JSON.parse(readFileSync(path.join(packageRoot, 'package.json'), 'utf8')).version;
+
+/**
+ * Maximum number of entries of each in-process cache, the least recently used entries are evicted first.
+ */
+const cacheLimits = { eslintInstances: 16, eslintFixResults: 32, prettierConfigs: 256 };
+
+/**
+ * Formatters able to restrict their changes to the range of a request, the others are skipped for range requests.
+ */
+const rangeFormatters = ['prettier', 'eslintFix'];
+
+/**
+ * Worker module auditing files when `auditFiles` runs with more than one thread.
+ */
+const workerScript = new URL('./workers/audit-worker.mjs', import.meta.url);
 
 /**
  * Frakto Code Auditor - Unified formatter and linter for all supported languages.
@@ -18,10 +56,69 @@ export default class FraktoAuditor {
 	 * @returns {void}
 	 */
 	constructor() {
+		this.initializeCaches();
 		this.initializeToolHandlers();
 		this.initializeLanguageConfigs();
 	}
 
+	/**
+	 * Initialize the caches reused across audits in the same process.
+	 *
+	 * @returns {void}
+	 */
+	initializeCaches() {
+		this.eslintInstances = new Map();
+		this.eslintFixResults = new Map();
+		this.prettierConfigs = new Map();
+	}
+
+	/**
+	 * Returns a cached entry and marks it as the most recently used.
+	 *
+	 * @param {string} name - The cache name, one of the `cacheLimits` keys.
+	 * @param {string} key  - The entry key.
+	 * @returns {any}
+	 */
+	getCacheEntry(name, key) {
+		const cache = this[name];
+		if (!cache.has(key)) return undefined;
+
+		// Maps iterate in insertion order, so re-inserting moves the entry last
+		const value = cache.get(key);
+		cache.delete(key);
+		cache.set(key, value);
+
+		return value;
+	}
+
+	/**
+	 * Stores a cached entry, evicting the least recently used entries beyond the cache limit.
+	 *
+	 * @param {string} name  - The cache name, one of the `cacheLimits` keys.
+	 * @param {string} key   - The entry key.
+	 * @param {any}    value - The entry value.
+	 * @returns {void}
+	 */
+	setCacheEntry(name, key, value) {
+		const cache = this[name];
+
+		cache.delete(key);
+		cache.set(key, value);
+
+		while (cache.size > cacheLimits[name]) {
+			cache.delete(cache.keys().next().value);
+		}
+	}
+
+	/**
+	 * Clears the cached ESLint instances and Prettier configurations.
+	 *
+	 * @returns {void}
+	 */
+	clearCaches() {
+		this.initializeCaches();
+	}
+
 	/**
 	 * Initialize tool handlers for different formatting and linting tools.
 	 *
@@ -38,9 +135,9 @@ export default class FraktoAuditor {
 			 * @returns {Promise<string>}
 			 */
 			prettier: async (content, request, langPath) => {
-				const configPath = path.join(process.cwd(), langPath, 'prettier.config.mjs');
-				const configFile = await prettier.resolveConfig(configPath);
-				const result     = await prettier.format(content, { filepath: request.filePath, ...configFile });
+				const configFile = await this.getPrettierConfig(request, langPath);
+				const range      = request.range && { rangeStart: request.range.start, rangeEnd: request.range.end };
+				const result     = await prettier.format(content, { filepath: request.filePath, ...configFile, ...range });
 
 				return result || content;
 			},
@@ -58,9 +155,16 @@ export default class FraktoAuditor {
 					return;
 				}
 
-				const configFile = path.join(process.cwd(), langPath, 'eslint.config.mjs');
-				const eslint     = new ESLint({ cwd: request.workspacePath, overrideConfigFile: configFile, fix: true });
-				const result     = await eslint.lintText(content, { filePath: request.filePath });
+				const { eslint, resultKey } = this.getESLint(request, langPath, true);
+				const result = await eslint.lintText(content, { filePath: request.filePath });
+
+				// Keep the remaining problems so the linter can skip a second pass over the same output
+				const reusable = !request.fixRules && !request.lintOriginal && request.linters?.includes('eslint');
+
+				if ('both' === request.mode && result?.[0] && reusable) {
+					const rulesMeta = eslint.getRulesMetaForResults(result);
+					this.setCacheEntry('eslintFixResults', resultKey, { output: result[0].output ?? content, result, rulesMeta });
+				}
 
 				return result?.[0]?.output || content;
 			},
@@ -91,12 +195,18 @@ export default class FraktoAuditor {
 					return;
 				}
 
-				const standard   = request.linterStandard;
-				const configFile = path.join(process.cwd(), langPath, 'eslint.config.mjs');
-				const eslint     = new ESLint({ cwd: request.workspacePath, overrideConfigFile: configFile });
-				const result     = (await eslint.lintText(content, { filePath: request.filePath })) || [];
+				const standard = request.linterStandard;
+				const { eslint, resultKey } = this.getESLint(request, langPath, false);
+				const fixed = this.eslintFixResults.get(resultKey);
+				this.eslintFixResults.delete(resultKey);
 
-				return this.parseDiagnostics('eslint', result, standard);
+				const reused = fixed && fixed.output === content;
+				const result = reused ? fixed.result : (await eslint.lintText(content, { filePath: request.filePath })) || [];
+
+				// Rule metadata resolves from the instance that produced the results
+				const rulesMeta = reused ? fixed.rulesMeta : eslint.getRulesMetaForResults(result);
+
+				return this.parseDiagnostics('eslint', result, standard, { content, rulesMeta });
 			},
 
 			/**
@@ -109,92 +219,63 @@ export default class FraktoAuditor {
 			emoji: async (content, request) => {
 				const standard = request.linterStandard;
 				const emoji    = new emojiLinter({ whitelist: ['©'] });
-				const result   = emoji.detectEmojis(content) || [];
 
-				return this.parseDiagnostics('emoji', result, standard);
+				// Commit messages are linted without their comments and the diff below the scissors line
+				const kept   = 'commit-msg' === request.language ? new CommitLinter().getMessageLines(content) : null;
+				const lines  = kept && new Set(kept.map((line) => line.line));
+				const result = (emoji.detectEmojis(content) || []).filter((match) => !lines || lines.has(match.line));
+
+				return this.parseDiagnostics('emoji', result, standard, { content });
 			},
 
 			/**
-			 * TODO: Move in to a special engine created with php.
-			 * PHP CodeSniffer formatter and linter.
+			 * Validates commit messages against the Frakto commit convention.
+			 *
+			 * @param {string} content - The commit message to lint.
+			 * @param {object} request - The object containing request details.
+			 * @returns {Promise<Array>}
+			 */
+			commitMsg: async (content, request) => {
+				const standard = request.linterStandard;
+				const linter   = new CommitLinter();
+				const result   = linter.lintMessage(content);
+
+				return this.parseDiagnostics('commitMsg', result, standard);
+			},
+
+			/**
+			 * PHP Code Beautifier formatter.
 			 *
 			 * @param {string} content - The content to process.
-			 * @param {object} config  - The object containing request details.
-			 * @param {string} mode    - Processing mode.
-			 * @returns {Promise<object>}
+			 * @param {object} request - The object containing request details.
+			 * @returns {Promise<string>}
 			 */
-			phpcs: async (content, config, mode) => {
-				const diagnostics = [];
-				const standard    = config.standard || 'PSR2';
-
-				// Format with PHPCBF.
-				if (['format', 'both'].includes(mode)) {
-					const phpcbfPath = path.join(config.vendorPath, 'bin/phpcbf');
-					content = await new Promise((resolve, reject) => {
-						let stdout = '';
-						let stderr = '';
-						const child = spawn('php', [phpcbfPath, `--standard=${standard}`, '-']);
-
-						child.stdout.on('data', (data) => {
-							stdout += data.toString();
-						});
-						child.stderr.on('data', (data) => {
-							stderr += data.toString();
-						});
-						child.on('error', (error) => {
-							reject(error);
-						});
-						child.on('close', (code) => {
-							if (0 !== code && !stdout) {
-								return reject(new Error(stderr || `phpcbf failed with exit code ${code}`));
-							}
-							resolve(stdout || content);
-						});
-
-						child.stdin.write(content);
-						child.stdin.end();
-					});
-				}
+			phpcbf: async (content, request) => {
+				const standard = request.linterStandard || 'PSR2';
+				const result   = await this.runCodeSniffer('phpcbf', [`--standard=${standard}`], content);
 
-				// Lint with PHPCS.
-				if (['lint', 'both'].includes(mode)) {
-					const phpcsPath = path.join(config.vendorPath, 'bin/phpcs');
-					const diagnostic = await new Promise((resolve, reject) => {
-						let stdout = '';
-						let stderr = '';
-						const child = spawn('php', [phpcsPath, `--standard=${standard}`, '--report=json', '-']);
-
-						child.stdout.on('data', (data) => {
-							stdout += data.toString();
-						});
-						child.stderr.on('data', (data) => {
-							stderr += data.toString();
-						});
-						child.on('error', (error) => {
-							reject(error);
-						});
-						child.on('close', (code) => {
-							if (0 !== code && !stdout) {
-								return reject(new Error(stderr || `phpcs failed with exit code ${code}`));
-							}
-							resolve(stdout);
-						});
-
-						child.stdin.write(content);
-						child.stdin.end();
-					});
-
-					const parsedDiagnostic = JSON.parse(diagnostic);
-					diagnostics.push(...this.parsePHPDiagnostics(parsedDiagnostic, standard));
-				}
+				return result || content;
+			},
 
-				return { content, diagnostics };
+			/**
+			 * PHP CodeSniffer linter.
+			 *
+			 * @param {string} content - The content to process.
+			 * @param {object} request - The object containing request details.
+			 * @returns {Promise<object>[]}
+			 */
+			phpcs: async (content, request) => {
+				const standard = request.linterStandard || 'PSR2';
+				const result   = await this.runCodeSniffer('phpcs', [`--standard=${standard}`, '--report=json'], content);
+				const report   = JSON.parse(result);
+
+				return this.parseDiagnostics('phpcs', report.files.STDIN?.messages || [], standard, { content });
 			}
 		};
 	}
 
 	/**
-	 * Initialize language configurations.
+	 * Initialize language configurations, including the comment syntax frakto directives are written in.
 	 *
 	 * @returns {void}
 	 */
@@ -203,72 +284,263 @@ export default class FraktoAuditor {
 			javascript: {
 				formatters: ['prettier', 'eslintFix'],
 				linters: ['eslint', 'emoji'],
-				path: 'src/configs/js'
+				path: 'src/configs/js',
+				comments: { line: ['//'], block: [['/*', '*/']] }
 			},
 			typescript: {
 				formatters: ['prettier', 'eslintFix'],
 				linters: ['eslint', 'emoji'],
-				path: 'src/configs/ts'
+				path: 'src/configs/ts',
+				comments: { line: ['//'], block: [['/*', '*/']] }
 			},
 			json: {
 				formatters: ['prettier', 'eslintFix'],
 				linters: ['eslint', 'emoji'],
-				path: 'src/configs/json'
+				path: 'src/configs/json',
+				comments: { line: [], block: [] }
 			},
 			jsonc: {
 				formatters: ['prettier'],
 				linters: ['emoji'],
-				path: 'src/configs/common'
+				path: 'src/configs/common',
+				comments: { line: ['//'], block: [['/*', '*/']] }
 			},
 			markdown: {
 				formatters: ['prettier'],
 				linters: ['emoji'],
-				path: 'src/configs/md'
+				path: 'src/configs/md',
+				comments: { line: [], block: [['<!--', '-->']] }
 			},
 			html: {
 				formatters: ['prettier', 'htmlFormatter'],
 				linters: ['emoji'],
-				path: 'src/configs/html'
+				path: 'src/configs/html',
+				comments: { line: [], block: [['<!--', '-->']] }
 			},
 			css: {
 				// TODO: Implement CSS formatting and linting
 				formatters: [],
 				linters: [],
-				path: 'css'
+				path: 'css',
+				comments: { line: [], block: [['/*', '*/']] }
 			},
 			scss: {
 				// TODO: Implement SCSS formatting and linting
 				formatters: [],
 				linters: [],
-				path: 'scss'
+				path: 'scss',
+				comments: { line: ['//'], block: [['/*', '*/']] }
 			},
 			php: {
-				// TODO: Move in to a special engine created with php.
 				formatters: ['phpcbf'],
 				linters: ['phpcs'],
-				path: 'vendor'
+				path: 'vendor',
+				comments: { line: ['//', '#'], block: [['/*', '*/']] }
 			},
 			yaml: {
 				formatters: ['prettier'],
 				linters: ['emoji'],
-				path: 'src/configs/common'
+				path: 'src/configs/common',
+				comments: { line: ['#'], block: [] }
+			},
+			'commit-msg': {
+				formatters: [],
+				linters: ['commitMsg', 'emoji'],
+				path: 'src/configs/common',
+				comments: { line: ['#'], block: [] }
 			}
 		};
 	}
 
+	/**
+	 * Resolves the configuration file of a tool.
+	 * Files declared in the project `configs` take precedence over the configurations bundled with this package.
+	 *
+	 * @param {string} tool     - The tool name (`eslint` or `prettier`).
+	 * @param {object} request  - The object containing request details.
+	 * @param {string} langPath - The path to the bundled configuration files, relative to the package root.
+	 * @returns {string}
+	 */
+	resolveConfigFile(tool, request, langPath) {
+		const override = request.configFiles?.[tool];
+		if (override) return override;
+
+		return path.join(packageRoot, langPath, `${tool}.config.mjs`);
+	}
+
+	/**
+	 * Returns a cached ESLint instance for the configuration, workspace and rule overrides of a request.
+	 * The configuration file modification time is part of the key so edited configurations are reloaded.
+	 * Fix instances restricted to a range are specific to that range and are not cached.
+	 *
+	 * @param {object}  request  - The object containing request details.
+	 * @param {string}  langPath - The path to the bundled configuration files.
+	 * @param {boolean} fix      - Whether the instance applies fixes.
+	 * @returns {{eslint:ESLint, resultKey:string}}
+	 */
+	getESLint(request, langPath, fix) {
+		const configFile = this.resolveConfigFile('eslint', request, langPath);
+		const mtime      = statSync(configFile, { throwIfNoEntry: false })?.mtimeMs;
+		const fixRules   = request.fixRules || null;
+		const range      = fix ? request.range : null;
+		const rules      = request.ruleOverrides || {};
+		const configKey  = JSON.stringify([configFile, mtime, request.workspacePath, rules]);
+		const key        = JSON.stringify([configKey, fix, fixRules]);
+
+		const resultKey  = JSON.stringify([configKey, request.filePath]);
+
+		/**
+		 * Limits the applied fixes to the requested rules and to the fixes inside the requested range.
+		 *
+		 * @param {object} message - The ESLint message carrying the fix.
+		 * @returns {boolean}
+		 */
+		const fixFilter = (message) => {
+			const inRange = !range || (message.fix.range[0] >= range.start && message.fix.range[1] <= range.end);
+			return inRange && (!fixRules || fixRules.includes(message.ruleId));
+		};
+
+		/**
+		 * Creates an ESLint instance for the request.
+		 *
+		 * @returns {ESLint}
+		 */
+		const createESLint = () =>
+			new ESLint({
+				cwd: request.workspacePath,
+				overrideConfigFile: configFile,
+				overrideConfig: { rules },
+				fix: fix && (fixRules || range) ? fixFilter : fix
+			});
+
+		if (range) {
+			return { eslint: createESLint(), resultKey };
+		}
+
+		if (!this.eslintInstances.has(key)) {
+			this.setCacheEntry('eslintInstances', key, createESLint());
+		}
+
+		// Results of a fix pass are shared with the linter of the same configuration and file
+		return { eslint: this.getCacheEntry('eslintInstances', key), resultKey };
+	}
+
+	/**
+	 * Returns the cached Prettier options resolved for the configuration and file of a request.
+	 *
+	 * @param {object} request  - The object containing request details.
+	 * @param {string} langPath - The path to the bundled configuration files.
+	 * @returns {Promise<object>}
+	 */
+	async getPrettierConfig(request, langPath) {
+		const configPath = this.resolveConfigFile('prettier', request, langPath);
+		const mtime      = statSync(configPath, { throwIfNoEntry: false })?.mtimeMs;
+		const key        = JSON.stringify([configPath, mtime, request.filePath]);
+
+		if (!this.prettierConfigs.has(key)) {
+			const pending = loadPrettierConfig(configPath, request.filePath);
+
+			// Do not keep failed resolutions around
+			pending.catch(() => this.prettierConfigs.delete(key));
+			this.setCacheEntry('prettierConfigs', key, pending);
+		}
+
+		return this.getCacheEntry('prettierConfigs', key);
+	}
+
+	/**
+	 * Runs a PHP_CodeSniffer tool installed in the vendor directory of this package on the given content.
+	 * Both tools exit with a non-zero code when they report or fix problems, so only an empty output is a failure.
+	 *
+	 * @param {string}   tool    - The tool name (`phpcs` or `phpcbf`).
+	 * @param {string[]} args    - The tool arguments.
+	 * @param {string}   content - The content piped to the tool.
+	 * @throws {Error} If PHP or PHP_CodeSniffer is not installed, or the tool fails.
+	 * @returns {Promise<string>}
+	 */
+	async runCodeSniffer(tool, args, content) {
+		const toolPath = path.join(packageRoot, 'vendor/bin', tool);
+
+		if (!statSync(toolPath, { throwIfNoEntry: false })?.isFile()) {
+			throw new Error(
+				`PHP_CodeSniffer is not installed, run composer install in ${path.resolve(packageRoot)} to audit PHP files.`
+			);
+		}
+
+		/**
+		 * Spawns the tool and settles with its standard output.
+		 *
+		 * @param {function} resolve - The promise resolver.
+		 * @param {function} reject  - The promise rejecter.
+		 * @returns {void}
+		 */
+		const run = (resolve, reject) => {
+			const child = spawn('php', [toolPath, ...args, '-']);
+			let stdout = '';
+			let stderr = '';
+
+			child.stdout.on('data', (data) => {
+				stdout += data.toString();
+			});
+			child.stderr.on('data', (data) => {
+				stderr += data.toString();
+			});
+			child.on('error', (error) => {
+				reject('ENOENT' === error.code ? new Error('PHP must be installed to audit PHP files.') : error);
+			});
+			child.on('close', (code) => {
+				if (0 !== code && !stdout) {
+					reject(new Error(stderr || `${tool} failed with exit code ${code}`));
+					return;
+				}
+
+				resolve(stdout);
+			});
+
+			child.stdin.write(content);
+			child.stdin.end();
+		};
+
+		return new Promise(run);
+	}
+
 	/**
 	 * Prepares diagnostics for the response payload.
+	 * ESLint and emoji diagnostics carry an optional `fix` and `suggestions`, whose edits have the same shape as the
+	 * audit response `edits` and refer to the linted content. Every diagnostic links its rule documentation in
+	 * `docsUrl`, or null when the rule has none.
 	 *
-	 * @param {string} linter - The linter used.
-	 * @param {object} data   - The object containing diagnostics data.
-	 * @param {string} source - The source of the diagnostics.
+	 * @param {string} linter  - The linter used.
+	 * @param {object} data    - The object containing diagnostics data.
+	 * @param {string} source  - The source of the diagnostics.
+	 * @param {object} details - Object containing the linted `content` and the ESLint `rulesMeta`.
 	 * @returns {any[]|null}
 	 */
-	parseDiagnostics(linter, data, source) {
+	parseDiagnostics(linter, data, source, details) {
 		if (!Array.isArray(data)) {
 			return null;
 		}
 
+		let toPosition = null;
+
+		/**
+		 * Creates a text edit replacing a slice of the linted content.
+		 *
+		 * @param {number[]} range   - The start and end offsets of the replaced slice.
+		 * @param {string}   newText - The replacement text.
+		 * @returns {{start:number, end:number, range:object, newText:string}}
+		 */
+		const toEdit = (range, newText) => {
+			toPosition = toPosition || createPositionResolver(details.content);
+
+			return {
+				start: range[0],
+				end: range[1],
+				range: { start: toPosition(range[0]), end: toPosition(range[1]) },
+				newText
+			};
+		};
+
 		if ('eslint' === linter) {
 			return data.flatMap((result) =>
 				result.messages.map((diagnostic) => ({
@@ -279,7 +551,15 @@ export default class FraktoAuditor {
 					type: 2 === diagnostic.severity ? 'ERROR' : 1 === diagnostic.severity ? 'WARNING' : 'INFO',
 					message: diagnostic.message || 'ESLint error',
 					source: source,
-					code: diagnostic.ruleId || 'unknown'
+					code: diagnostic.ruleId || 'unknown',
+					docsUrl: details.rulesMeta[diagnostic.ruleId]?.docs?.url || null,
+					...(diagnostic.fix && { fix: toEdit(diagnostic.fix.range, diagnostic.fix.text) }),
+					...(diagnostic.suggestions?.length && {
+						suggestions: diagnostic.suggestions.map((suggestion) => ({
+							message: suggestion.desc,
+							fix: toEdit(suggestion.fix.range, suggestion.fix.text)
+						}))
+					})
 				}))
 			);
 		}
@@ -292,27 +572,355 @@ export default class FraktoAuditor {
 				type: diagnostic.severity.toUpperCase(),
 				message: diagnostic.message || 'Frakto Emoji Linter error',
 				source: source,
-				code: 'no-emoji'
+				code: 'no-emoji',
+				docsUrl: getRuleDocsUrl('no-emoji'),
+				fix: toEdit([diagnostic.index, diagnostic.index + diagnostic.emoji.length], '')
+			}));
+		}
+		else if ('commitMsg' === linter) {
+			return data.map((diagnostic) => ({
+				line: diagnostic.line,
+				column: diagnostic.column,
+				endLine: diagnostic.endLine,
+				endColumn: diagnostic.endColumn,
+				type: diagnostic.severity.toUpperCase(),
+				message: diagnostic.message,
+				source: source,
+				code: `commit-msg/${diagnostic.rule}`,
+				docsUrl: `${repositoryUrl}#commit-messages`
 			}));
 		}
 		else if ('phpcs' === linter) {
-			return data.files.STDIN.messages.map((diagnostic) => ({
+			return data.map((diagnostic) => ({
 				line: diagnostic.line || 0,
 				column: diagnostic.column || 0,
+				endLine: diagnostic.line || 1,
+				endColumn: diagnostic.column || 1,
 				type: diagnostic.type?.toUpperCase() || 'ERROR',
 				message: diagnostic.message || 'PHP CodeSniffer error',
 				source: source,
-				code: diagnostic.source || 'unknown'
+				code: diagnostic.source || 'unknown',
+				docsUrl: null
 			}));
 		}
 	}
 
+	/**
+	 * Lists the comments of JavaScript and TypeScript content from the ESLint source code, so that directive
+	 * lookalikes in strings and templates are not mistaken for comments.
+	 * Returns null when the content cannot be parsed, or for the other languages.
+	 *
+	 * @param {string} content  - The linted content.
+	 * @param {string} language - The language of the content.
+	 * @returns {Promise<{type:string, value:string, range:Array}[]|null>}
+	 */
+	async getSourceComments(content, language) {
+		if (!['javascript', 'typescript'].includes(language)) {
+			return null;
+		}
+
+		const { default: tseslint } = await import('typescript-eslint');
+		const linter = new Linter({ configType: 'flat' });
+		const config = {
+			files: ['**/*'],
+			languageOptions: { ecmaVersion: 'latest', sourceType: 'module', parser: tseslint.parser }
+		};
+
+		linter.verify(content, [config], { filename: 'javascript' === language ? 'file.js' : 'file.ts' });
+
+		return linter.getSourceCode()?.getAllComments() || null;
+	}
+
+	/**
+	 * Finds the frakto directives of a content, written in the comment syntax of its language.
+	 * Directives list the codes they apply to, separated by commas or spaces, and apply to every code when they
+	 * list none. Text after ` -- ` describes the directive and is ignored. JavaScript and TypeScript directives are
+	 * read from the parsed comments, the other languages are scanned for their comment delimiters.
+	 *
+	 * @param {string} content  - The linted content.
+	 * @param {string} language - The language of the content.
+	 * @returns {Promise<{type:string, codes:Array, line:number, column:number, endLine:number, endColumn:number}>[]}
+	 */
+	async parseDirectives(content, language) {
+		// Most files have no directive, skip parsing them a second time
+		if (!content.includes('frakto-')) {
+			return [];
+		}
+
+		const comments   = this.languageConfigs[language]?.comments;
+		const keyword    = '(frakto-disable-next-line|frakto-disable|frakto-enable)(?![\\w-])';
+		const toPosition = createPositionResolver(content);
+		const directives = [];
+
+		/**
+		 * Escapes a string for use in a regular expression.
+		 *
+		 * @param {string} value - The string to escape.
+		 * @returns {string}
+		 */
+		const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		/**
+		 * Records a directive found between two offsets, unless its codes are not valid diagnostic codes.
+		 *
+		 * @param {string}   type  - The directive keyword.
+		 * @param {string}   text  - The text following the keyword.
+		 * @param {number[]} range - The start and end offsets of the comment.
+		 * @returns {void}
+		 */
+		const addDirective = (type, text, range) => {
+			const codes = text
+				.split(' -- ')[0]
+				.split(/[\s,]+/)
+				.filter(Boolean);
+
+			if (!codes.every((code) => /^[\w@/-]+$/.test(code))) return;
+
+			const start = toPosition(range[0]);
+			const end   = toPosition(range[1]);
+
+			directives.push({
+				type: type.slice('frakto-'.length),
+				codes,
+				offset: range[0],
+				line: start.line,
+				column: start.column,
+				endLine: end.line,
+				endColumn: end.column
+			});
+		};
+
+		const sourceComments = await this.getSourceComments(content, language);
+
+		if (sourceComments) {
+			const pattern = new RegExp(`^\\s*${keyword}([\\s\\S]*)$`);
+
+			sourceComments.forEach((comment) => {
+				const match = pattern.exec(comment.value);
+				if (match) addDirective(match[1], match[2], comment.range);
+			});
+		}
+		else {
+			const patterns = [
+				...(comments?.line || []).map((marker) => new RegExp(`${escape(marker)}[ \\t]*${keyword}([^\\r\\n]*)`, 'g')),
+				...(comments?.block || []).map(
+					(delimiters) => new RegExp(`${escape(delimiters[0])}\\s*${keyword}([\\s\\S]*?)${escape(delimiters[1])}`, 'g')
+				)
+			];
+
+			for (const pattern of patterns) {
+				for (const match of content.matchAll(pattern)) {
+					addDirective(match[1], match[2], [match.index, match.index + match[0].length]);
+				}
+			}
+		}
+
+		return directives.sort((a, b) => a.offset - b.offset);
+	}
+
+	/**
+	 * Drops the diagnostics silenced by frakto directives and reports the directives that silenced nothing.
+	 * `frakto-disable-next-line` covers the line after the comment, `frakto-disable` covers everything after it
+	 * until a `frakto-enable` for the same codes.
+	 *
+	 * @param {string} content     - The linted content.
+	 * @param {any[]}  diagnostics - The normalized diagnostics of the linters honoring directives.
+	 * @param {string} language    - The language of the content.
+	 * @param {string} source      - The source of the unused directive diagnostics.
+	 * @returns {Promise<any>[]}
+	 */
+	async applyDirectives(content, diagnostics, language, source) {
+		const directives = await this.parseDirectives(content, language);
+		const used       = new Set();
+
+		if (!directives.length) {
+			return diagnostics;
+		}
+
+		/**
+		 * Finds the directive silencing a diagnostic, if any.
+		 *
+		 * @param {object} diagnostic - The normalized diagnostic.
+		 * @returns {{type:string, codes:Array}|null}
+		 */
+		const findDirective = (diagnostic) => {
+			const nextLine = directives.find(
+				(directive) =>
+					'disable-next-line' === directive.type &&
+					directive.endLine + 1 === diagnostic.line &&
+					(!directive.codes.length || directive.codes.includes(diagnostic.code))
+			);
+
+			if (nextLine) return nextLine;
+
+			const disabled = new Map();
+			const enabled  = new Set();
+			let blanket = null;
+
+			for (const directive of directives) {
+				const after =
+					directive.endLine < diagnostic.line ||
+					(directive.endLine === diagnostic.line && directive.endColumn <= diagnostic.column);
+
+				if ('disable-next-line' === directive.type) continue;
+				if (!after) break;
+
+				const disable = 'disable' === directive.type;
+
+				if (!directive.codes.length) {
+					blanket = disable ? directive : null;
+					disabled.clear();
+					enabled.clear();
+				}
+
+				directive.codes.forEach((code) => {
+					if (disable) {
+						disabled.set(code, directive);
+						enabled.delete(code);
+					}
+					else {
+						disabled.delete(code);
+						enabled.add(code);
+					}
+				});
+			}
+
+			return disabled.get(diagnostic.code) || (blanket && !enabled.has(diagnostic.code) ? blanket : null);
+		};
+
+		const kept = diagnostics.filter((diagnostic) => {
+			const directive = findDirective(diagnostic);
+			if (directive) used.add(directive);
+
+			return !directive;
+		});
+
+		// Report the disable directives that did not silence anything
+		directives
+			.filter((directive) => 'enable' !== directive.type && !used.has(directive))
+			.forEach((directive) => {
+				const codes = directive.codes.length ? ` for ${directive.codes.join(', ')}` : '';
+
+				kept.push({
+					line: directive.line,
+					column: directive.column,
+					endLine: directive.endLine,
+					endColumn: directive.endColumn,
+					type: 'WARNING',
+					message: `Unused frakto-${directive.type} directive (no problems were reported${codes}).`,
+					source: source,
+					code: 'unused-disable-directive',
+					docsUrl: `${repositoryUrl}#suppressing-problems`
+				});
+			});
+
+		return kept;
+	}
+
+	/**
+	 * Resolves the workspace of a file, shared by the files of a project so they reuse the same ESLint instances:
+	 * the directory of its closest frakto.config.mjs, else the working directory when it contains the file, else
+	 * the directory of the file.
+	 *
+	 * @param {string} filePath - The absolute path of the file.
+	 * @param {string} cwd      - The working directory.
+	 * @returns {string}
+	 */
+	getWorkspacePath(filePath, cwd) {
+		const configPath   = findProjectConfig(path.dirname(filePath));
+		const relativePath = path.relative(path.resolve(cwd), filePath);
+
+		if (configPath) {
+			return path.dirname(configPath);
+		}
+
+		return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? path.dirname(filePath) : path.resolve(cwd);
+	}
+
+	/**
+	 * Resolves the tools, rule overrides and ignore state of a request from the closest frakto.config.mjs.
+	 *
+	 * @param {string} language - The language to process.
+	 * @param {object} request  - The request object containing content and options.
+	 * @returns {Promise<object>}
+	 */
+	async resolveProjectConfig(language, request) {
+		const config     = this.languageConfigs[language];
+		const defaults   = { ignored: false, formatters: config.formatters, linters: config.linters, rules: {}, configs: {} };
+		const configPath = request.workspacePath ? findProjectConfig(request.workspacePath) : null;
+
+		if (!configPath) {
+			return defaults;
+		}
+
+		const known = { languages: Object.keys(this.languageConfigs), tools: {} };
+
+		for (const [name, languageConfig] of Object.entries(this.languageConfigs)) {
+			known.tools[name] = [...languageConfig.formatters, ...languageConfig.linters];
+		}
+
+		const projectConfig = await loadProjectConfig(configPath, known);
+
+		return resolveFileConfig(projectConfig, {
+			configPath,
+			filePath: request.filePath,
+			language,
+			tools: defaults,
+			formatters: config.formatters
+		});
+	}
+
+	/**
+	 * Computes a key identifying the result of an audit.
+	 * It covers the content, language, mode, tool versions and the effective configuration, including the contents
+	 * of the configuration files in use.
+	 *
+	 * @param {string} language - The language to process.
+	 * @param {object} request  - The request object containing content and options.
+	 * @returns {Promise<string>}
+	 */
+	async getCacheKey(language, request) {
+		const projectConfig = await this.resolveProjectConfig(language, request);
+		const langPath      = this.languageConfigs[language].path;
+		const configRequest = { ...request, configFiles: projectConfig.configs };
+		const hash          = createHash('sha256');
+		const configFiles = [
+			this.resolveConfigFile('eslint', configRequest, langPath),
+			this.resolveConfigFile('prettier', configRequest, langPath),
+			request.workspacePath ? findProjectConfig(request.workspacePath) : null
+		];
+
+		hash.update(
+			JSON.stringify({
+				language,
+				mode: request.mode,
+				standard: request.linterStandard,
+				range: request.range || null,
+				versions: { frakto: packageVersion, eslint: ESLint.version, prettier: prettier.version },
+				projectConfig
+			})
+		);
+
+		for (const configFile of configFiles) {
+			if (configFile && statSync(configFile, { throwIfNoEntry: false })?.isFile()) {
+				hash.update(readFileSync(configFile));
+			}
+		}
+
+		hash.update(request.content);
+
+		return hash.digest('hex');
+	}
+
 	/**
 	 * Main audit method - processes content for a specific language.
+	 * An optional `range` in the request, with `start` and `end` offsets or 1-based `{line, column}` positions,
+	 * restricts formatting, ESLint fixes and the reported diagnostics to that region.
+	 * With `edits` set to `true` or `'only'`, minimal text edits are returned alongside or instead of `formatted`.
 	 *
 	 * @param {string} language - The language to process.
 	 * @param {object} request  - The request object containing content and options.
-	 * @throws {Error} If the language is unsupported.
+	 * @throws {Error} If the language is unsupported or the range is invalid.
 	 * @returns {Promise<object>}
 	 */
 	async audit(language, request) {
@@ -323,32 +931,259 @@ export default class FraktoAuditor {
 			throw new Error(`Unsupported language: ${language}`);
 		}
 
+		const projectConfig = await this.resolveProjectConfig(language, request);
+
+		if (projectConfig.ignored) {
+			return { ...response, diagnostics: [], ignored: true, ...(request.edits && { edits: [] }) };
+		}
+
 		let content     = request.content;
 		let diagnostics = [];
 
-		// Formatters pipeline
+		request = {
+			...request,
+			language,
+			range: request.range ? resolveRange(content, request.range) : null,
+			ruleOverrides: projectConfig.rules,
+			configFiles: projectConfig.configs,
+			linters: projectConfig.linters
+		};
+
+		// Formatters pipeline, restricted to ESLint fixes when specific rules are requested
 		if (['format', 'both'].includes(request.mode)) {
-			for (const formatterName of config.formatters || []) {
+			const formatters = projectConfig.formatters.filter(
+				(name) => (!request.fixRules || 'eslintFix' === name) && (!request.range || rangeFormatters.includes(name))
+			);
+
+			for (const formatterName of formatters) {
 				const langPath = this.languageConfigs[language]['path'];
 				const result   = await this.toolHandlers[formatterName](content, request, langPath);
 
-				if (result && 'string' === typeof result) content = result;
+				if (result && 'string' === typeof result) {
+					// Formatters only touch the range, so its end moves with the length change
+					if (request.range) {
+						const end = Math.max(request.range.start, request.range.end + result.length - content.length);
+						request = { ...request, range: { start: request.range.start, end } };
+					}
+
+					content = result;
+				}
 			}
 		}
 
-		// Linters pipeline
+		// Linters pipeline, ESLint honors its own eslint-disable comments rather than frakto directives
 		if (['lint', 'both'].includes(request.mode)) {
-			for (const linterName of config.linters || []) {
+			// Callers that do not write the formatted content get diagnostics for the original one
+			const linted       = request.lintOriginal ? request.content : content;
+			const suppressible = [];
+
+			for (const linterName of projectConfig.linters || []) {
 				const langPath = this.languageConfigs[language]['path'];
-				const result   = await this.toolHandlers[linterName](content, request, langPath);
+				const result   = await this.toolHandlers[linterName](linted, request, langPath);
+				const target   = 'eslint' === linterName ? diagnostics : suppressible;
 
-				if (Array.isArray(result)) diagnostics.push(...result);
+				if (Array.isArray(result)) target.push(...result);
 			}
+
+			diagnostics.push(...(await this.applyDirectives(linted, suppressible, language, request.linterStandard)));
+			diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+		}
+
+		// Only report the diagnostics overlapping the lines of the range
+		if (request.range) {
+			const start = offsetToPosition(content, request.range.start).line;
+			const end   = offsetToPosition(content, request.range.end).line;
+
+			diagnostics = diagnostics.filter(
+				(diagnostic) => diagnostic.line <= end && Math.max(diagnostic.line, diagnostic.endLine || 0) >= start
+			);
 		}
 
 		response.formatted = content;
 		response.diagnostics = diagnostics;
 
+		// Edits refer to the original content, with offsets and 1-based positions
+		if (request.edits && ['format', 'both'].includes(request.mode)) {
+			const toPosition = createPositionResolver(request.content);
+
+			response.edits = createTextEdits(request.content, content).map((edit) => ({
+				...edit,
+				range: { start: toPosition(edit.start), end: toPosition(edit.end) }
+			}));
+
+			if ('only' === request.edits) response.formatted = null;
+		}
+
 		return response;
 	}
+
+	/**
+	 * Lists the files matching paths, directories or glob patterns, as sorted absolute paths.
+	 * With `staged`, only the supported staged files of the repository outside the ignored paths are listed, restricted
+	 * to the matching files when patterns are given. Fails when an explicit path does not exist or `staged` is used outside of git.
+	 *
+	 * @param {string[]} globs   - The files, directories or glob patterns.
+	 * @param {object}   options - Optional. Object containing the `cwd`, extra `ignore` globs and `staged` flag. Default: {}.
+	 * @returns {string[]}
+	 */
+	listFiles(globs, options = {}) {
+		const cwd = path.resolve(options.cwd || process.cwd());
+
+		if (!options.staged) {
+			return expandPaths(globs, { cwd, ignore: options.ignore });
+		}
+
+		const root   = path.resolve(getRepositoryRoot(cwd));
+		const ignore = [...defaultIgnores, ...(options.ignore || [])];
+		const staged = getStagedFiles(root).filter(
+			(filePath) => detectLanguage(filePath) && !matchesAny(toPosixPath(path.relative(cwd, filePath)), ignore)
+		);
+
+		if (!globs.length) {
+			return staged;
+		}
+
+		const selected = new Set(expandPaths(globs, { cwd, ignore: options.ignore }));
+		return staged.filter((filePath) => selected.has(filePath));
+	}
+
+	/**
+	 * Audits a file, detecting its language and resolving its frakto.config.mjs from the file directory.
+	 * Options: the `mode` (default `lint`), a forced `language`, the `content` to audit, a `readFile` function, the
+	 * `cwd`, `lintOriginal` to lint the unformatted content in `both` mode, a ResultCache and a WorkerPool.
+	 * Unsupported files are `skipped` and audit failures are returned in `error`.
+	 *
+	 * @param {string} filePath - The path of the file, resolved from `options.cwd`.
+	 * @param {object} options  - Optional. The audit options. Default: {}.
+	 * @throws {Error} Audit errors are caught and returned in the result.
+	 * @returns {Promise<object>}
+	 */
+	async auditFile(filePath, options = {}) {
+		const absolutePath = path.resolve(options.cwd || process.cwd(), filePath);
+		const language     = options.language || detectLanguage(absolutePath);
+		const mode         = options.mode || 'lint';
+		const cache        = 'lint' === mode ? options.cache : null;
+		const result = {
+			filePath: absolutePath,
+			language,
+			skipped: !language,
+			ignored: false,
+			cached: false,
+			content: null,
+			formatted: null,
+			diagnostics: [],
+			error: null
+		};
+
+		if (!language) {
+			return result;
+		}
+
+		try {
+			result.content =
+				options.content ?? (options.readFile ? options.readFile(absolutePath) : readFileSync(absolutePath, 'utf8'));
+
+			const request = {
+				mode,
+				content: result.content,
+				filePath: absolutePath,
+				language,
+				fileName: path.basename(absolutePath),
+				linterStandard: 'Frakto',
+				lintOriginal: Boolean(options.lintOriginal),
+				workspacePath: this.getWorkspacePath(absolutePath, options.cwd || process.cwd())
+			};
+
+			const cacheKey = cache && (await this.getCacheKey(language, request));
+			const cached   = cache?.get(absolutePath, cacheKey);
+
+			if (cached) {
+				return { ...result, ignored: cached.ignored, cached: true, diagnostics: cached.diagnostics };
+			}
+
+			const response = options.pool
+				? await options.pool.run({ language, request })
+				: await this.audit(language, request);
+
+			cache?.set(absolutePath, cacheKey, { diagnostics: response.diagnostics, ignored: Boolean(response.ignored) });
+
+			return {
+				...result,
+				ignored: Boolean(response.ignored),
+				formatted: response.ignored ? null : response.formatted,
+				diagnostics: response.diagnostics || []
+			};
+		}
+		catch (error) {
+			return { ...result, error };
+		}
+	}
+
+	/**
+	 * Audits the files matching paths, directories or glob patterns and aggregates their results.
+	 * Accepts the `auditFile` and `listFiles` options, plus a `concurrency` (a number or `auto`, default 1) auditing
+	 * files in worker threads and a `filter` returning the diagnostics to keep for each result before they are
+	 * counted. Returns the per-file `results`, in path order, and their `totals`.
+	 *
+	 * @param {string[]} globs   - The files, directories or glob patterns.
+	 * @param {object}   options - Optional. The audit options. Default: {}.
+	 * @throws {Error} If the files cannot be listed.
+	 * @returns {Promise<{results:Array, totals:{files:number, errors:number, warnings:number}}>}
+	 */
+	async auditFiles(globs, options = {}) {
+		const cwd    = path.resolve(options.cwd || process.cwd());
+		const files  = this.listFiles(globs, { ...options, cwd });
+		const root   = options.staged ? path.resolve(getRepositoryRoot(cwd)) : null;
+		const totals = { files: 0, errors: 0, warnings: 0, unformatted: 0, ignored: 0, skipped: 0, crashed: 0 };
+
+		// `auto` uses one worker per spare CPU core, without exceeding one worker per four files
+		const concurrency =
+			'auto' === options.concurrency
+				? Math.max(1, Math.min(availableParallelism() - 1, Math.floor(files.length / 4)))
+				: Number(options.concurrency || 1);
+
+		const pool = options.pool || (1 < concurrency ? new WorkerPool(workerScript, concurrency) : null);
+
+		/**
+		 * Reads the staged content of a file from the index.
+		 *
+		 * @param {string} filePath - The absolute path of the file.
+		 * @returns {string}
+		 */
+		const readFile = (filePath) => readStagedFile(root, filePath);
+
+		let results;
+		try {
+			results = await mapConcurrent(files, concurrency, (filePath) =>
+				this.auditFile(filePath, { ...options, cwd, pool, ...(root && { readFile }) })
+			);
+		}
+		finally {
+			if (pool !== options.pool) await pool?.close();
+		}
+
+		// Let the caller drop diagnostics, e.g. baselined ones, before they are counted
+		if (options.filter) {
+			results = results.map((result) =>
+				result.skipped || result.ignored || result.error ? result : { ...result, diagnostics: options.filter(result) }
+			);
+		}
+
+		results.forEach((result) => {
+			if (result.skipped || result.ignored) {
+				totals[result.skipped ? 'skipped' : 'ignored']++;
+				return;
+			}
+
+			const errors = result.diagnostics.filter((diagnostic) => 'ERROR' === diagnostic.type).length;
+
+			totals.files++;
+			totals.crashed += result.error ? 1 : 0;
+			totals.unformatted += null !== result.formatted && result.formatted !== result.content ? 1 : 0;
+			totals.errors += errors;
+			totals.warnings += result.diagnostics.length - errors;
+		});
+
+		return { results, totals };
+	}
 }
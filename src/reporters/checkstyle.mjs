@@ -0,0 +1,45 @@
+// Dependencies
+import { escapeXml } from '../utils/xml.mjs';
+
+/**
+ * Maps the normalized diagnostic types to Checkstyle severities.
+ */
+const severities = {
+	ERROR: 'error',
+	WARNING: 'warning',
+	INFO: 'info'
+};
+
+/**
+ * Formats the diagnostics as a Checkstyle XML report.
+ *
+ * @param {any[]} results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @returns {string}
+ */
+const checkstyle = (results) => {
+	const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+	results.forEach((result) => {
+		lines.push(`\t<file name="${escapeXml(result.filePath)}">`);
+
+		result.diagnostics.forEach((diagnostic) => {
+			const attributes = [
+				`line="${diagnostic.line}"`,
+				`column="${diagnostic.column}"`,
+				`severity="${severities[diagnostic.type] || severities.INFO}"`,
+				`message="${escapeXml(diagnostic.message)}"`,
+				`source="${escapeXml(diagnostic.code)}"`
+			];
+
+			lines.push(`\t\t<error ${attributes.join(' ')} />`);
+		});
+
+		lines.push('\t</file>');
+	});
+
+	lines.push('</checkstyle>');
+
+	return lines.join('\n');
+};
+
+export default checkstyle;
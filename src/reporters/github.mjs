@@ -0,0 +1,63 @@
+// Dependencies
+import path from 'node:path';
+
+import { toPosixPath } from '../utils/files.mjs';
+
+/**
+ * Maps the normalized diagnostic types to workflow command names.
+ */
+const commands = {
+	ERROR: 'error',
+	WARNING: 'warning',
+	INFO: 'notice'
+};
+
+/**
+ * Escapes the message of a workflow command.
+ *
+ * @param {string} value - The message to escape.
+ * @returns {string}
+ */
+const escapeData = (value) => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+
+/**
+ * Escapes a property value of a workflow command.
+ *
+ * @param {string} value - The property value to escape.
+ * @returns {string}
+ */
+const escapeProperty = (value) => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+/**
+ * Formats the diagnostics as GitHub Actions workflow commands, so they show up as annotations on pull requests.
+ *
+ * @param {any[]}  results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @param {object} context - Object containing the working directory `cwd` the file paths are relative to.
+ * @returns {string}
+ */
+const github = (results, context) => {
+	const lines = [];
+
+	results.forEach((result) => {
+		const file = toPosixPath(path.relative(context.cwd, result.filePath));
+
+		result.diagnostics.forEach((diagnostic) => {
+			const command    = commands[diagnostic.type] || commands.INFO;
+			const properties = { file, line: Math.max(1, diagnostic.line), col: Math.max(1, diagnostic.column) };
+
+			if (diagnostic.endLine >= properties.line) {
+				properties.endLine = diagnostic.endLine;
+				properties.endColumn = diagnostic.endColumn;
+			}
+
+			properties.title = diagnostic.code;
+
+			const encoded = Object.entries(properties).map((entry) => `${entry[0]}=${escapeProperty(entry[1])}`);
+			lines.push(`::${command} ${encoded.join(',')}::${escapeData(`${diagnostic.message} (${diagnostic.code})`)}`);
+		});
+	});
+
+	return lines.join('\n');
+};
+
+export default github;
@@ -0,0 +1,58 @@
+// Dependencies
+import path from 'node:path';
+import json from './json.mjs';
+import junit from './junit.mjs';
+import sarif from './sarif.mjs';
+import github from './github.mjs';
+import process from 'node:process';
+import stylish from './stylish.mjs';
+import checkstyle from './checkstyle.mjs';
+
+import { existsSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * The built-in reporters, keyed by their `--format` name.
+ */
+export const reporters = {
+	stylish,
+	json,
+	junit,
+	checkstyle,
+	sarif,
+	github
+};
+
+/**
+ * Returns the reporter used when none is requested, `github` when running in GitHub Actions.
+ *
+ * @returns {string}
+ */
+export const getDefaultReporter = () => ('true' === process.env.GITHUB_ACTIONS ? 'github' : 'stylish');
+
+/**
+ * Resolves a reporter by its built-in name or by the path of a module default-exporting a reporter function.
+ * Reporters receive the audited files, each containing its `filePath` and `diagnostics`, and return the report text.
+ *
+ * @param {string} name - The built-in reporter name or the path of a custom reporter module.
+ * @param {string} cwd  - The directory custom reporter paths are resolved from.
+ * @throws {Error} If the reporter does not exist or its module does not export a function.
+ * @returns {Promise<function>}
+ */
+export const loadReporter = async (name, cwd) => {
+	if (Object.hasOwn(reporters, name)) {
+		return reporters[name];
+	}
+
+	const modulePath = path.resolve(cwd, name);
+	if (!existsSync(modulePath)) {
+		throw new Error(`Unknown reporter "${name}". Use: ${Object.keys(reporters).join(' | ')} or a module path.`);
+	}
+
+	const module = await import(pathToFileURL(modulePath).href);
+	if ('function' !== typeof module.default) {
+		throw new Error(`Reporter module "${name}" must export a default function.`);
+	}
+
+	return module.default;
+};
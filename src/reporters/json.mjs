@@ -0,0 +1,18 @@
+/**
+ * Formats the diagnostics as a JSON array with one entry per file.
+ *
+ * @param {any[]} results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @returns {string}
+ */
+const json = (results) => {
+	const files = results.map((result) => ({
+		filePath: result.filePath,
+		errorCount: result.diagnostics.filter((diagnostic) => 'ERROR' === diagnostic.type).length,
+		warningCount: result.diagnostics.filter((diagnostic) => 'ERROR' !== diagnostic.type).length,
+		diagnostics: result.diagnostics
+	}));
+
+	return JSON.stringify(files);
+};
+
+export default json;
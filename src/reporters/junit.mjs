@@ -0,0 +1,50 @@
+// Dependencies
+import path from 'node:path';
+
+import { escapeXml } from '../utils/xml.mjs';
+import { toPosixPath } from '../utils/files.mjs';
+
+/**
+ * Formats the diagnostics as a JUnit XML report, with one test suite per file and one failed test case per
+ * diagnostic. Files without diagnostics report a single passing test case.
+ *
+ * @param {any[]}  results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @param {object} context - Object containing the working directory `cwd` the suite names are relative to.
+ * @returns {string}
+ */
+const junit = (results, context) => {
+	const failures = results.reduce((count, result) => count + result.diagnostics.length, 0);
+	const tests    = results.reduce((count, result) => count + Math.max(1, result.diagnostics.length), 0);
+	const lines = [
+		'<?xml version="1.0" encoding="utf-8"?>',
+		`<testsuites name="frakto" tests="${tests}" failures="${failures}" errors="0">`
+	];
+
+	results.forEach((result) => {
+		const name  = escapeXml(toPosixPath(path.relative(context.cwd, result.filePath)));
+		const count = result.diagnostics.length;
+
+		lines.push(`\t<testsuite name="${name}" tests="${Math.max(1, count)}" failures="${count}" errors="0" time="0">`);
+
+		if (!count) {
+			lines.push(`\t\t<testcase name="${name}" classname="${name}" time="0" />`);
+		}
+
+		result.diagnostics.forEach((diagnostic) => {
+			const type    = diagnostic.type.toLowerCase();
+			const details = `${name}:${diagnostic.line}:${diagnostic.column} ${escapeXml(diagnostic.message)}`;
+
+			lines.push(`\t\t<testcase name="${escapeXml(diagnostic.code)}" classname="${name}" time="0">`);
+			lines.push(`\t\t\t<failure message="${escapeXml(diagnostic.message)}" type="${type}">${details}</failure>`);
+			lines.push('\t\t</testcase>');
+		});
+
+		lines.push('\t</testsuite>');
+	});
+
+	lines.push('</testsuites>');
+
+	return lines.join('\n');
+};
+
+export default junit;
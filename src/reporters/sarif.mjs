@@ -0,0 +1,132 @@
+// Dependencies
+import path from 'node:path';
+import frakto from '../tools/eslint-plugin/index.mjs';
+
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { toPosixPath } from '../utils/files.mjs';
+
+/**
+ * The package manifest, used to describe the tool driver.
+ */
+const manifest = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+/**
+ * Maps the normalized diagnostic types to SARIF result levels.
+ */
+const levels = {
+	ERROR: 'error',
+	WARNING: 'warning',
+	INFO: 'note'
+};
+
+/**
+ * Builds the SARIF reporting descriptor of a rule, pulling the metadata of frakto rules from their `meta.docs`.
+ *
+ * @param {string} id      - The diagnostic code.
+ * @param {string} docsUrl - The documentation URL of the diagnostic, if any.
+ * @returns {{id:string, shortDescription:object, properties:object}}
+ */
+const describeRule = (id, docsUrl) => {
+	const rule = id.startsWith('frakto/') ? frakto.rules[id.slice('frakto/'.length)] : null;
+	const docs = rule?.meta?.docs;
+
+	if (!docs) {
+		return { id, shortDescription: { text: id }, ...(docsUrl && { helpUri: docsUrl }), properties: {} };
+	}
+
+	return {
+		id,
+		shortDescription: { text: docs.description },
+		...(docs.url && { helpUri: docs.url }),
+		properties: {
+			...(docs.category && { category: docs.category }),
+			...(rule.meta.type && { tags: [rule.meta.type] }),
+			recommended: Boolean(docs.recommended),
+			fixable: Boolean(rule.meta.fixable)
+		}
+	};
+};
+
+/**
+ * Builds the SARIF region of a diagnostic. Missing or inverted end positions are dropped.
+ *
+ * @param {object} diagnostic - The normalized diagnostic.
+ * @returns {{startLine:number, startColumn:number}}
+ */
+const getRegion = (diagnostic) => {
+	const region  = { startLine: Math.max(1, diagnostic.line), startColumn: Math.max(1, diagnostic.column) };
+	const sameEnd = diagnostic.endLine === region.startLine && diagnostic.endColumn >= region.startColumn;
+
+	if (diagnostic.endLine > region.startLine || sameEnd) {
+		region.endLine = diagnostic.endLine;
+		region.endColumn = diagnostic.endColumn;
+	}
+
+	return region;
+};
+
+/**
+ * Formats the audited files as a SARIF 2.1.0 log with a single run.
+ *
+ * @param {any[]}  results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @param {object} context - Object containing the working directory `cwd` the artifact URIs are relative to.
+ * @returns {string}
+ */
+const sarif = (results, context) => {
+	const rules       = [];
+	const ruleIndexes = new Map();
+	const entries     = [];
+
+	results.forEach((result) => {
+		const uri = toPosixPath(path.relative(context.cwd, result.filePath));
+
+		result.diagnostics.forEach((diagnostic) => {
+			const id = diagnostic.code || 'unknown';
+
+			if (!ruleIndexes.has(id)) {
+				ruleIndexes.set(id, rules.length);
+				rules.push(describeRule(id, diagnostic.docsUrl));
+			}
+
+			entries.push({
+				ruleId: id,
+				ruleIndex: ruleIndexes.get(id),
+				level: levels[diagnostic.type] || levels.INFO,
+				message: { text: diagnostic.message },
+				locations: [
+					{
+						physicalLocation: {
+							artifactLocation: { uri, uriBaseId: 'SRCROOT' },
+							region: getRegion(diagnostic)
+						}
+					}
+				]
+			});
+		});
+	});
+
+	const log = {
+		$schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+		version: '2.1.0',
+		runs: [
+			{
+				tool: {
+					driver: {
+						name: 'Frakto',
+						semanticVersion: manifest.version,
+						rules
+					}
+				},
+				originalUriBaseIds: {
+					SRCROOT: { uri: `${pathToFileURL(context.cwd).href}/` }
+				},
+				results: entries
+			}
+		]
+	};
+
+	return JSON.stringify(log, null, 2);
+};
+
+export default sarif;
@@ -0,0 +1,33 @@
+// Dependencies
+import pc from 'picocolors';
+import path from 'node:path';
+
+/**
+ * Formats the diagnostics as colored text grouped under each file path.
+ *
+ * @param {any[]}  results - The audited files, each containing its `filePath` and `diagnostics`.
+ * @param {object} context - Object containing the working directory `cwd` the paths are relative to.
+ * @returns {string}
+ */
+const stylish = (results, context) => {
+	const lines = [];
+
+	results
+		.filter((result) => result.diagnostics.length)
+		.forEach((result) => {
+			lines.push(pc.underline(path.relative(context.cwd, result.filePath)));
+
+			result.diagnostics.forEach((diagnostic) => {
+				const position    = pc.dim(`${diagnostic.line}:${diagnostic.column}`.padEnd(8));
+				const type        = diagnostic.type.toLowerCase().padEnd(7);
+				const coloredType = 'ERROR' === diagnostic.type ? pc.red(type) : pc.yellow(type);
+				lines.push(`  ${position} ${coloredType} ${diagnostic.message} ${pc.dim(diagnostic.code)}`);
+			});
+
+			lines.push('');
+		});
+
+	return lines.join('\n');
+};
+
+export default stylish;
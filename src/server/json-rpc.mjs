@@ -0,0 +1,251 @@
+// Dependencies
+import process from 'node:process';
+import readline from 'node:readline';
+
+import { Buffer } from 'node:buffer';
+
+/**
+ * JSON-RPC 2.0 connection over stdio-like streams.
+ * Messages are framed either as newline-delimited JSON (`newline`) or with LSP `Content-Length` headers (`header`).
+ */
+class JsonRpcConnection {
+	static errorCodes = {
+		parseError: -32700,
+		invalidRequest: -32600,
+		methodNotFound: -32601,
+		invalidParams: -32602,
+		internalError: -32603
+	};
+
+	/**
+	 * Constructor - Initialize the connection with its input and output streams.
+	 *
+	 * @param {object} streams - Object containing the `input` and `output` streams and the optional `framing`.
+	 * @returns {void}
+	 */
+	constructor(streams) {
+		this.input = streams.input;
+		this.output = streams.output;
+		this.framing = 'header' === streams.framing ? 'header' : 'newline';
+		this.requestHandlers = new Map();
+		this.notificationHandlers = new Map();
+		this.closeHandlers = [];
+		this.pending = new Set();
+		this.buffer = Buffer.alloc(0);
+	}
+
+	/**
+	 * Registers the handler of a request method. The handler result is sent back as the response.
+	 *
+	 * @param {string}   method  - The method name.
+	 * @param {function} handler - The handler receiving the request params.
+	 * @returns {void}
+	 */
+	onRequest(method, handler) {
+		this.requestHandlers.set(method, handler);
+	}
+
+	/**
+	 * Registers the handler of a notification method.
+	 *
+	 * @param {string}   method  - The method name.
+	 * @param {function} handler - The handler receiving the notification params.
+	 * @returns {void}
+	 */
+	onNotification(method, handler) {
+		this.notificationHandlers.set(method, handler);
+	}
+
+	/**
+	 * Registers a handler called when the input stream ends.
+	 *
+	 * @param {function} handler - The handler to call.
+	 * @returns {void}
+	 */
+	onClose(handler) {
+		this.closeHandlers.push(handler);
+	}
+
+	/**
+	 * Writes a message to the output stream.
+	 *
+	 * @param {object} message - The JSON-RPC message.
+	 * @returns {void}
+	 */
+	send(message) {
+		const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+
+		if ('header' === this.framing) {
+			this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+			return;
+		}
+
+		this.output.write(`${body}\n`);
+	}
+
+	/**
+	 * Sends a notification to the client.
+	 *
+	 * @param {string} method - The method name.
+	 * @param {object} params - The notification params.
+	 * @returns {void}
+	 */
+	sendNotification(method, params) {
+		this.send({ method, params });
+	}
+
+	/**
+	 * Sends an error response.
+	 *
+	 * @param {any}    id      - The id of the failed request.
+	 * @param {number} code    - The JSON-RPC error code.
+	 * @param {string} message - The error message.
+	 * @returns {void}
+	 */
+	sendError(id, code, message) {
+		this.send({ id, error: { code, message } });
+	}
+
+	/**
+	 * Dispatches a parsed message to its handler.
+	 *
+	 * @param {object} message - The JSON-RPC message.
+	 * @throws {Error} Handler errors are caught and sent back as error responses.
+	 * @returns {Promise<void>}
+	 */
+	async dispatch(message) {
+		const { errorCodes } = JsonRpcConnection;
+		const isRequest = Object.prototype.hasOwnProperty.call(message || {}, 'id');
+
+		if (!message || 'object' !== typeof message || '2.0' !== message.jsonrpc || 'string' !== typeof message.method) {
+			this.sendError(isRequest ? message.id : null, errorCodes.invalidRequest, 'Invalid request');
+			return;
+		}
+
+		// Notifications never receive a response
+		if (!isRequest) {
+			const handler = this.notificationHandlers.get(message.method);
+			if (!handler) return;
+
+			try {
+				await handler(message.params);
+			}
+			catch (error) {
+				process.stderr.write(`Notification "${message.method}" failed: ${error.message}\n`);
+			}
+			return;
+		}
+
+		const handler = this.requestHandlers.get(message.method);
+		if (!handler) {
+			this.sendError(message.id, errorCodes.methodNotFound, `Method not found: ${message.method}`);
+			return;
+		}
+
+		try {
+			const result = await handler(message.params);
+			this.send({ id: message.id, result: undefined === result ? null : result });
+		}
+		catch (error) {
+			const code = Number.isInteger(error.code) ? error.code : errorCodes.internalError;
+			this.sendError(message.id, code, error.message);
+		}
+	}
+
+	/**
+	 * Handles a raw message received on the input stream.
+	 *
+	 * @param {string} line - The raw JSON message.
+	 * @throws {Error} Parse errors are caught and sent back as error responses.
+	 * @returns {void}
+	 */
+	handleLine(line) {
+		if (!line.trim()) return;
+
+		let message;
+		try {
+			message = JSON.parse(line);
+		}
+		catch (error) {
+			this.sendError(null, JsonRpcConnection.errorCodes.parseError, `Parse error: ${error.message}`);
+			return;
+		}
+
+		// Requests are not awaited so that the client can pipeline calls
+		const task = this.dispatch(message);
+		this.pending.add(task);
+		task.finally(() => this.pending.delete(task));
+	}
+
+	/**
+	 * Waits until every in-flight request has been answered.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async drain() {
+		while (this.pending.size) {
+			await Promise.allSettled([...this.pending]);
+		}
+	}
+
+	/**
+	 * Extracts every complete `Content-Length` framed message from the buffered input.
+	 *
+	 * @param {Buffer} chunk - The chunk received on the input stream.
+	 * @returns {void}
+	 */
+	handleChunk(chunk) {
+		this.buffer = Buffer.concat([this.buffer, chunk]);
+
+		while (true) {
+			const headerEnd = this.buffer.indexOf('\r\n\r\n');
+			if (-1 === headerEnd) return;
+
+			const headers = this.buffer.subarray(0, headerEnd).toString('ascii');
+			const length  = Number(headers.match(/Content-Length:\s*(\d+)/i)?.[1]);
+
+			if (!Number.isInteger(length)) {
+				this.buffer = this.buffer.subarray(headerEnd + 4);
+				this.sendError(null, JsonRpcConnection.errorCodes.parseError, 'Parse error: missing Content-Length header');
+				continue;
+			}
+
+			const bodyStart = headerEnd + 4;
+			if (this.buffer.length < bodyStart + length) return;
+
+			const body = this.buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+			this.buffer = this.buffer.subarray(bodyStart + length);
+			this.handleLine(body);
+		}
+	}
+
+	/**
+	 * Waits for the in-flight requests and notifies the close handlers.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		await this.drain();
+		this.closeHandlers.forEach((handler) => handler());
+	}
+
+	/**
+	 * Starts reading messages from the input stream.
+	 *
+	 * @returns {void}
+	 */
+	listen() {
+		if ('header' === this.framing) {
+			this.input.on('data', (chunk) => this.handleChunk(chunk));
+			this.input.on('end', () => this.close());
+			return;
+		}
+
+		const reader = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+
+		reader.on('line', (line) => this.handleLine(line));
+		reader.on('close', () => this.close());
+	}
+}
+
+export default JsonRpcConnection;
@@ -0,0 +1,396 @@
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+import FraktoAuditor from '../index.mjs';
+import JsonRpcConnection from './json-rpc.mjs';
+import frakto from '../tools/eslint-plugin/index.mjs';
+
+import { fileURLToPath } from 'node:url';
+import { detectLanguage } from '../utils/files.mjs';
+
+/**
+ * Maps the normalized diagnostic types to LSP severities.
+ */
+const severities = {
+	ERROR: 1,
+	WARNING: 2,
+	INFO: 3
+};
+
+/**
+ * Converts an audit text edit, with 1-based positions, into an LSP text edit.
+ *
+ * @param {object} edit - The audit text edit.
+ * @returns {{range:object, newText:string}}
+ */
+const toLspEdit = (edit) => {
+	const { start, end } = edit.range;
+
+	return {
+		range: {
+			start: { line: start.line - 1, character: start.column - 1 },
+			end: { line: end.line - 1, character: end.column - 1 }
+		},
+		newText: edit.newText
+	};
+};
+
+/**
+ * Converts a normalized diagnostic into an LSP diagnostic.
+ *
+ * @param {object} diagnostic - The normalized diagnostic.
+ * @returns {{range:object, severity:number, code:string, source:string, message:string}}
+ */
+const toLspDiagnostic = (diagnostic) => {
+	const start = { line: Math.max(0, diagnostic.line - 1), character: Math.max(0, diagnostic.column - 1) };
+	const end = diagnostic.endLine
+		? { line: Math.max(0, diagnostic.endLine - 1), character: Math.max(0, diagnostic.endColumn - 1) }
+		: start;
+
+	return {
+		range: { start, end },
+		severity: severities[diagnostic.type] || severities.INFO,
+		code: diagnostic.code,
+		...(diagnostic.docsUrl && { codeDescription: { href: diagnostic.docsUrl } }),
+		source: 'frakto',
+		message: diagnostic.message
+	};
+};
+
+/**
+ * Checks if an LSP diagnostic sent back by the client was published for a normalized diagnostic.
+ *
+ * @param {object} lspDiagnostic - The LSP diagnostic.
+ * @param {object} diagnostic    - The normalized diagnostic.
+ * @returns {boolean}
+ */
+const isSameDiagnostic = (lspDiagnostic, diagnostic) => {
+	const published = toLspDiagnostic(diagnostic);
+
+	return (
+		published.code === lspDiagnostic.code &&
+		published.message === lspDiagnostic.message &&
+		published.range.start.line === lspDiagnostic.range?.start?.line &&
+		published.range.start.character === lspDiagnostic.range?.start?.character
+	);
+};
+
+/**
+ * Checks if a diagnostic code belongs to an auto-fixable frakto rule.
+ *
+ * @param {string} code - The diagnostic code.
+ * @returns {boolean}
+ */
+const isFixableRule = (code) => {
+	if ('string' !== typeof code || !code.startsWith('frakto/')) return false;
+
+	return Boolean(frakto.rules[code.slice('frakto/'.length)]?.meta?.fixable);
+};
+
+/**
+ * Frakto Language Server - Exposes the auditor to any LSP-capable editor.
+ */
+class FraktoLanguageServer {
+	/**
+	 * Constructor - Initialize the server state and its JSON-RPC connection.
+	 *
+	 * @param {object} streams - Object containing the readable `input` and writable `output` streams.
+	 * @returns {void}
+	 */
+	constructor(streams) {
+		this.connection = new JsonRpcConnection({ ...streams, framing: 'header' });
+		this.auditor = new FraktoAuditor();
+		this.documents = new Map();
+		this.timers = new Map();
+		this.workspaceFolders = [];
+		this.shutdownRequested = false;
+
+		this.registerHandlers();
+	}
+
+	/**
+	 * Registers the LSP request and notification handlers.
+	 *
+	 * @returns {void}
+	 */
+	registerHandlers() {
+		const connection = this.connection;
+
+		connection.onRequest('initialize', (params) => this.initialize(params));
+		connection.onRequest('shutdown', () => {
+			this.shutdownRequested = true;
+			return null;
+		});
+		connection.onRequest('textDocument/formatting', (params) => this.format(params));
+		connection.onRequest('textDocument/rangeFormatting', (params) => this.format(params));
+		connection.onRequest('textDocument/codeAction', (params) => this.codeActions(params));
+
+		connection.onNotification('exit', () => process.exit(this.shutdownRequested ? 0 : 1));
+		connection.onNotification('textDocument/didOpen', (params) => {
+			const { uri, languageId, version, text } = params.textDocument;
+			this.documents.set(uri, { uri, languageId, version, text, diagnostics: [] });
+			this.scheduleValidation(uri);
+		});
+		connection.onNotification('textDocument/didChange', (params) => {
+			const document = this.documents.get(params.textDocument.uri);
+			const change   = params.contentChanges[params.contentChanges.length - 1];
+			if (!document || !change) return;
+
+			document.text = change.text;
+			document.version = params.textDocument.version;
+			this.scheduleValidation(document.uri);
+		});
+		connection.onNotification('textDocument/didSave', (params) => this.scheduleValidation(params.textDocument.uri));
+		connection.onNotification('textDocument/didClose', (params) => {
+			const uri = params.textDocument.uri;
+
+			clearTimeout(this.timers.get(uri));
+			this.timers.delete(uri);
+			this.documents.delete(uri);
+			connection.sendNotification('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+		});
+
+		connection.onClose(() => process.exit(this.shutdownRequested ? 0 : 1));
+	}
+
+	/**
+	 * Handles the initialize request and advertises the server capabilities.
+	 *
+	 * @param {object} params - The initialize params.
+	 * @returns {{capabilities:object, serverInfo:object}}
+	 */
+	initialize(params) {
+		const folders = params?.workspaceFolders || [];
+		const rootUri = params?.rootUri;
+
+		this.workspaceFolders = folders.map((folder) => fileURLToPath(folder.uri));
+		if (!this.workspaceFolders.length && rootUri?.startsWith('file:')) {
+			this.workspaceFolders = [fileURLToPath(rootUri)];
+		}
+
+		return {
+			capabilities: {
+				textDocumentSync: { openClose: true, change: 1, save: { includeText: false } },
+				documentFormattingProvider: true,
+				documentRangeFormattingProvider: true,
+				codeActionProvider: { codeActionKinds: ['quickfix', 'source.fixAll.frakto'] }
+			},
+			serverInfo: { name: 'frakto-language-server' }
+		};
+	}
+
+	/**
+	 * Builds the audit request of an open document.
+	 *
+	 * @param {object} document - The tracked document.
+	 * @param {string} mode     - The audit mode.
+	 * @returns {{language:string, request:object}|null}
+	 */
+	createRequest(document, mode) {
+		const filePath = document.uri.startsWith('file:') ? fileURLToPath(document.uri) : null;
+		const language = this.auditor.languageConfigs[document.languageId]
+			? document.languageId
+			: detectLanguage(filePath || '');
+
+		if (!language) return null;
+
+		const folder = this.workspaceFolders.find((directory) => filePath?.startsWith(`${directory}${path.sep}`));
+
+		return {
+			language,
+			request: {
+				mode,
+				content: document.text,
+				filePath,
+				language,
+				fileName: filePath ? path.basename(filePath) : document.uri,
+				linterStandard: 'Frakto',
+				workspacePath: filePath
+					? this.auditor.getWorkspacePath(filePath, folder || path.dirname(filePath))
+					: this.workspaceFolders[0] || process.cwd()
+			}
+		};
+	}
+
+	/**
+	 * Debounces the validation of a document.
+	 *
+	 * @param {string} uri - The document URI.
+	 * @returns {void}
+	 */
+	scheduleValidation(uri) {
+		clearTimeout(this.timers.get(uri));
+		this.timers.set(
+			uri,
+			setTimeout(() => this.validate(uri), 200)
+		);
+	}
+
+	/**
+	 * Lints a document and publishes its diagnostics.
+	 *
+	 * @param {string} uri - The document URI.
+	 * @throws {Error} Audit errors are caught and logged to the client.
+	 * @returns {Promise<void>}
+	 */
+	async validate(uri) {
+		this.timers.delete(uri);
+
+		const document = this.documents.get(uri);
+		const audit    = document && this.createRequest(document, 'lint');
+		if (!audit) return;
+
+		try {
+			const version  = document.version;
+			const response = await this.auditor.audit(audit.language, audit.request);
+
+			// Skip stale results, a newer validation is already scheduled
+			if (this.documents.get(uri) !== document || version !== document.version) return;
+
+			document.diagnostics = response.diagnostics || [];
+			document.diagnosticsVersion = version;
+			this.connection.sendNotification('textDocument/publishDiagnostics', {
+				uri,
+				version,
+				diagnostics: document.diagnostics.map(toLspDiagnostic)
+			});
+		}
+		catch (error) {
+			this.connection.sendNotification('window/logMessage', { type: 1, message: `Frakto: ${error.message}` });
+		}
+	}
+
+	/**
+	 * Formats a document through the formatters pipeline, restricted to the requested range if any.
+	 *
+	 * @param {object} params - The formatting or range formatting params.
+	 * @returns {Promise<Array>}
+	 */
+	async format(params) {
+		const document = this.documents.get(params.textDocument.uri);
+		const audit    = document && this.createRequest(document, 'format');
+		if (!audit) return [];
+
+		if (params.range) {
+			const { start, end } = params.range;
+
+			audit.request.range = {
+				start: { line: start.line + 1, column: start.character + 1 },
+				end: { line: end.line + 1, column: end.character + 1 }
+			};
+		}
+
+		const response = await this.auditor.audit(audit.language, { ...audit.request, edits: 'only' });
+
+		return response.edits.map(toLspEdit);
+	}
+
+	/**
+	 * Applies the ESLint fixes of the given rules and returns the resulting text edits.
+	 *
+	 * @param {object}   document - The tracked document.
+	 * @param {string[]} rules    - The rules to fix.
+	 * @returns {Promise<Array>}
+	 */
+	async fixRules(document, rules) {
+		const audit = this.createRequest(document, 'format');
+		if (!audit) return [];
+
+		const response = await this.auditor.audit(audit.language, { ...audit.request, fixRules: rules, edits: 'only' });
+
+		return response.edits.map(toLspEdit);
+	}
+
+	/**
+	 * Offers code actions for the problems reported in the requested range: their own fix and suggestions,
+	 * then fixes for every problem of the same fixable frakto rule or of the whole document.
+	 *
+	 * @param {object} params - The code action params.
+	 * @returns {Promise<Array>}
+	 */
+	async codeActions(params) {
+		const uri      = params.textDocument.uri;
+		const document = this.documents.get(uri);
+		if (!document) return [];
+
+		const only      = params.context?.only;
+		const actions   = [];
+		const inContext = (params.context?.diagnostics || []).filter((diagnostic) => isFixableRule(diagnostic.code));
+
+		/**
+		 * Checks if the client asked for a code action kind.
+		 *
+		 * @param {string} kind - The code action kind.
+		 * @returns {boolean}
+		 */
+		const wants = (kind) => !only || only.some((requested) => kind.startsWith(requested));
+
+		// Targeted fixes, only while the published diagnostics still match the document
+		if (wants('quickfix') && document.diagnosticsVersion === document.version) {
+			for (const lspDiagnostic of params.context?.diagnostics || []) {
+				const diagnostic = document.diagnostics.find((candidate) => isSameDiagnostic(lspDiagnostic, candidate));
+
+				if (diagnostic?.fix) {
+					actions.push({
+						title: `Fix this ${diagnostic.code} problem`,
+						kind: 'quickfix',
+						diagnostics: [lspDiagnostic],
+						isPreferred: true,
+						edit: { changes: { [uri]: [toLspEdit(diagnostic.fix)] } }
+					});
+				}
+
+				(diagnostic?.suggestions || []).forEach((suggestion) => {
+					actions.push({
+						title: suggestion.message,
+						kind: 'quickfix',
+						diagnostics: [lspDiagnostic],
+						edit: { changes: { [uri]: [toLspEdit(suggestion.fix)] } }
+					});
+				});
+			}
+		}
+
+		// One quick fix per rule reported in the range
+		if (wants('quickfix')) {
+			for (const rule of new Set(inContext.map((diagnostic) => diagnostic.code))) {
+				const edits = await this.fixRules(document, [rule]);
+				if (!edits.length) continue;
+
+				actions.push({
+					title: `Fix all ${rule} problems`,
+					kind: 'quickfix',
+					diagnostics: inContext.filter((diagnostic) => rule === diagnostic.code),
+					edit: { changes: { [uri]: edits } }
+				});
+			}
+		}
+
+		// Fix every fixable frakto problem of the document at once
+		const fixable = [...new Set(document.diagnostics.map((diagnostic) => diagnostic.code).filter(isFixableRule))];
+		if (wants('source.fixAll.frakto') && fixable.length) {
+			const edits = await this.fixRules(document, fixable);
+
+			if (edits.length) {
+				actions.push({
+					title: 'Fix all auto-fixable Frakto problems',
+					kind: 'source.fixAll.frakto',
+					edit: { changes: { [uri]: edits } }
+				});
+			}
+		}
+
+		return actions;
+	}
+
+	/**
+	 * Starts listening for client messages.
+	 *
+	 * @returns {void}
+	 */
+	listen() {
+		this.connection.listen();
+	}
+}
+
+export default FraktoLanguageServer;
@@ -0,0 +1,218 @@
+/**
+ * Frakto Commit Linter a class for validating commit messages against the Frakto commit convention.
+ * Headers follow the lowercase `type: short description` format, and several types can be combined
+ * in a single header separated by commas.
+ */
+class CommitLinter {
+	static types = [
+		'feat',
+		'fix',
+		'chore',
+		'docs',
+		'style',
+		'refactor',
+		'test',
+		'perf',
+		'build',
+		'ci',
+		'revert',
+		'wip',
+		'release'
+	];
+
+	/**
+	 * Headers written by git itself for merges, reverts and `--fixup`/`--squash` commits, which are not linted.
+	 */
+	static generatedHeaders = [/^Merge /, /^Revert "/, /^(fixup|squash|amend)! /];
+
+	/**
+	 * Constructor for FraktoCommitLinter.
+	 *
+	 * @param {object} options - Object containing the allowed `types` and the comment character `commentChar`.
+	 * @returns {void}
+	 */
+	constructor(options) {
+		this.types = options?.types || CommitLinter.types;
+		this.commentChar = options?.commentChar || '#';
+	}
+
+	/**
+	 * Lint a commit message. Comment lines and everything below the git scissors line are skipped, and so are the
+	 * headers generated by git.
+	 *
+	 * @param {string} content - The commit message.
+	 * @returns {object[]}
+	 */
+	lintMessage(content) {
+		const lines    = this.getMessageLines(content);
+		const problems = [];
+		const header   = lines.find((line) => '' !== line.text.trim());
+
+		if (!header) {
+			return [this.createProblem('empty', 'Commit message must not be empty.', { line: 1, column: 1, endColumn: 1 })];
+		}
+
+		if (header !== lines[0]) {
+			problems.push(
+				this.createProblem('leading-blank', 'Commit header must be on the first line.', {
+					line: header.line,
+					column: 1,
+					endColumn: 1
+				})
+			);
+		}
+
+		if (!CommitLinter.generatedHeaders.some((pattern) => pattern.test(header.text))) {
+			problems.push(...this.lintHeader(header));
+		}
+
+		const next = lines[lines.indexOf(header) + 1];
+		if (next && '' !== next.text.trim()) {
+			const message = 'Commit body must be separated from the header by a blank line.';
+			problems.push(
+				this.createProblem('body-leading-blank', message, {
+					line: next.line,
+					column: 1,
+					endColumn: next.text.length + 1
+				})
+			);
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Returns the message lines with their 1-based line numbers, without comments and the scissors section.
+	 *
+	 * @param {string} content - The commit message.
+	 * @returns {any[]}
+	 */
+	getMessageLines(content) {
+		const lines = [];
+
+		for (const [index, text] of content.replace(/\r\n/g, '\n').split('\n').entries()) {
+			if (text.startsWith(`${this.commentChar} ------------------------ >8 ------------------------`)) break;
+			if (text.startsWith(this.commentChar)) continue;
+
+			lines.push({ line: index + 1, text });
+		}
+
+		// Drop trailing blank lines
+		while (lines.length && '' === lines[lines.length - 1].text.trim()) lines.pop();
+
+		return lines;
+	}
+
+	/**
+	 * Lint the header line, which may combine several `type: description` segments.
+	 *
+	 * @param {object} header - Object containing the `line` number and `text` of the header.
+	 * @returns {object[]}
+	 */
+	lintHeader(header) {
+		const problems = [];
+		const segments = [];
+		const splitter = /,\s*(?=[\w-]+(?:\([^)]*\))?!?:)/g;
+		let start = 0;
+		let match;
+
+		while (null !== (match = splitter.exec(header.text))) {
+			segments.push({ text: header.text.slice(start, match.index), column: start + 1 });
+			start = match.index + match[0].length;
+		}
+
+		segments.push({ text: header.text.slice(start), column: start + 1 });
+
+		segments.forEach((segment) => problems.push(...this.lintSegment(segment, header.line)));
+
+		return problems;
+	}
+
+	/**
+	 * Lint a single `type: description` segment of the header.
+	 *
+	 * @param {object} segment - Object containing the segment `text` and its 1-based `column`.
+	 * @param {number} line    - The header line number.
+	 * @returns {object[]}
+	 */
+	lintSegment(segment, line) {
+		const problems = [];
+		const parts    = /^(\s*)([^:]*):(\s*)(.*)$/.exec(segment.text);
+
+		if (!parts) {
+			const message = 'Commit header must follow the "type: short description" format.';
+			return [
+				this.createProblem('format', message, {
+					line,
+					column: segment.column,
+					endColumn: segment.column + segment.text.length
+				})
+			];
+		}
+
+		const [, indent, type, spacing, description] = parts;
+		const typeColumn = segment.column + indent.length;
+		const typeEnd    = typeColumn + type.length;
+		const descColumn = typeEnd + 1 + spacing.length;
+		const bareType   = type.replace(/\(.*$|!$/, '').toLowerCase();
+
+		if (/[A-Z]/.test(type)) {
+			problems.push(
+				this.createProblem('type-case', 'Commit type must be lowercase.', {
+					line,
+					column: typeColumn,
+					endColumn: typeEnd
+				})
+			);
+		}
+
+		if (/[()!]/.test(type)) {
+			const message = 'Commit type must not contain a scope, parentheses or "!".';
+			problems.push(this.createProblem('type-format', message, { line, column: typeColumn, endColumn: typeEnd }));
+		}
+
+		if (!this.types.includes(bareType)) {
+			const message = `Unknown commit type "${type.trim()}". Use: ${this.types.join(', ')}.`;
+			problems.push(
+				this.createProblem('type-enum', message, {
+					line,
+					column: typeColumn,
+					endColumn: Math.max(typeEnd, typeColumn + 1)
+				})
+			);
+		}
+
+		if (' ' !== spacing) {
+			const message = 'Expected a single space after the colon.';
+			problems.push(this.createProblem('format', message, { line, column: typeEnd, endColumn: descColumn }));
+		}
+
+		if ('' === description.trim()) {
+			const message = 'Commit description must not be empty.';
+			problems.push(this.createProblem('description-empty', message, { line, column: typeEnd, endColumn: descColumn }));
+		}
+		else if (/^\p{Lu}/u.test(description)) {
+			const message = 'Commit description must start with a lowercase letter.';
+			problems.push(
+				this.createProblem('description-case', message, { line, column: descColumn, endColumn: descColumn + 1 })
+			);
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Creates a problem on a single line.
+	 *
+	 * @param {string} rule     - The rule name.
+	 * @param {string} message  - The problem message.
+	 * @param {object} position - Object containing the 1-based `line`, `column` and exclusive `endColumn`.
+	 * @returns {{rule:string, message:string, line:number, column:number, endLine:number, endColumn:number}}
+	 */
+	createProblem(rule, message, position) {
+		const { line, column, endColumn } = position;
+		return { rule, message, line, column, endLine: line, endColumn, severity: 'error' };
+	}
+}
+
+export default CommitLinter;
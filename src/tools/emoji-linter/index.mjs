@@ -11,6 +11,29 @@ class EmojiLinter {
 		info: 'info'
 	};
 
+	/**
+	 * Matches an emoji with its variation selectors and skin tone modifiers, and the ZWJ sequence it starts.
+	 */
+	static pattern =
+		/(?:\p{Emoji_Presentation}|\p{Extended_Pictographic})[\uFE0F\p{Emoji_Modifier}]*(?:\u200D(?:\p{Emoji_Presentation}|\p{Extended_Pictographic})[\uFE0F\p{Emoji_Modifier}]*)*/gu;
+
+	static meta = {
+		type: 'problem',
+		docs: {
+			description: 'Disallow emojis in code, comments and commit messages.',
+			category: 'Best Practices',
+			recommended: true,
+			rationale:
+				'Emojis render differently across terminals, fonts and tools, and are easily pasted by accident. Code, comments and commit messages stay plain text, apart from whitelisted symbols such as ©.',
+			examples: {
+				bad: [`const status = 'Deployed ${String.fromCodePoint(0x1f680)}';`],
+				good: [`const status = 'Deployed';`]
+			}
+		},
+		fixable: 'code',
+		schema: []
+	};
+
 	/**
 	 * Constructor for FraktoEmojiLinter.
 	 *
@@ -28,25 +51,35 @@ class EmojiLinter {
 	}
 
 	/**
-	 * Lint a string for emoji usage.
+	 * Checks whether an emoji is whitelisted, with or without its variation selectors.
+	 *
+	 * @param {string} emoji - The matched emoji sequence.
+	 * @returns {boolean}
+	 */
+	isWhitelisted(emoji) {
+		return this.whitelist.includes(emoji) || this.whitelist.includes(emoji.replace(/\uFE0F/g, ''));
+	}
+
+	/**
+	 * Lint a string for emoji usage. Each match covers the whole emoji sequence and its `endColumn` is exclusive.
 	 *
 	 * @param {string} content - The content to lint.
 	 * @returns {object[]}
 	 */
 	detectEmojis(content) {
 		let match;
-		const emojiRegex = /\p{Emoji_Presentation}|\p{Extended_Pictographic}/gu;
+		const emojiRegex = new RegExp(EmojiLinter.pattern);
 		const matches    = [];
 
 		while (null !== (match = emojiRegex.exec(content))) {
 			const emoji = match[0];
 
-			if (this.whitelist.includes(emoji)) {
+			if (this.isWhitelisted(emoji)) {
 				continue;
 			}
 
 			const index     = match.index;
-			const endIndex  = match.index + match[0].length - 1;
+			const endIndex  = match.index + match[0].length;
 			const line      = content.substring(0, index).split('\n').length;
 			const endLine   = content.substring(0, endIndex).split('\n').length;
 			const column    = index - content.lastIndexOf('\n', index - 1);
@@ -74,9 +107,8 @@ class EmojiLinter {
 	 * @returns {string}
 	 */
 	removeEmojis(content) {
-		const emojiRegex = /\p{Emoji_Presentation}|\p{Extended_Pictographic}/gu;
-		return content.replace(emojiRegex, (match) => {
-			return this.whitelist.includes(match) ? match : '';
+		return content.replace(new RegExp(EmojiLinter.pattern), (match) => {
+			return this.isWhitelisted(match) ? match : '';
 		});
 	}
 
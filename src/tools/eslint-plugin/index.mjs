@@ -2,6 +2,7 @@
 import { readdirSync } from 'node:fs';
 import { pathToFileURL } from 'node:url';
 import { join, basename } from 'node:path';
+import { getRuleDocsUrl } from '../../utils/rule-docs.mjs';
 
 // Load all rule modules
 const rulesDir  = join(import.meta.dirname || new URL('.', import.meta.url).pathname, 'rules');
@@ -11,6 +12,7 @@ for (const file of ruleFiles) {
 	const name   = basename(file, '.mjs');
 	const module = await import(pathToFileURL(join(rulesDir, file)));
 	rules[name] = module.default;
+	rules[name].meta.docs.url = getRuleDocsUrl(name);
 }
 
 // Common rules
@@ -5,7 +5,21 @@ export default {
 		docs: {
 			description: 'Align consecutive variable declarations (let, const)',
 			category: 'Stylistic Issues',
-			recommended: false
+			recommended: false,
+			rationale:
+				'Aligned assignments turn a block of declarations into a table that reads at a glance and keeps related values visually grouped.',
+			examples: {
+				bad: [
+					`const name = 'frakto';
+const version = '1.0.0';
+let retries = 3;`
+				],
+				good: [
+					`const name    = 'frakto';
+const version = '1.0.0';
+let retries   = 3;`
+				]
+			}
 		},
 		fixable: 'whitespace',
 		schema: []
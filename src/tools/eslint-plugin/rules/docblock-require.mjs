@@ -8,7 +8,22 @@ export default {
 		docs: {
 			description: 'Ensure declarations have a docblock.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Every function and class states its purpose and contract where it is declared, so readers and editors do not have to infer it from the implementation.',
+			examples: {
+				bad: [`const sum = (a, b) => a + b;`],
+				good: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				]
+			}
 		},
 		schema: []
 	},
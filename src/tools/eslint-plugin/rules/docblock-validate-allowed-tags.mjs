@@ -8,7 +8,41 @@ export default {
 		docs: {
 			description: 'Enforce only allowed tags in function docblocks.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'A small, fixed set of tags keeps docblocks uniform. Usage examples belong in the documentation and TODOs in the description, where they stay visible.',
+			examples: {
+				bad: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @author Jane Doe
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`,
+					`/**
+ * Adds two numbers together.
+ *
+ * @todo Support bigints.
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				],
+				good: [
+					`/**
+ * Adds two numbers together. TODO: Support bigints.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				]
+			}
 		},
 		fixable: null,
 		schema: [
@@ -18,7 +52,9 @@ export default {
 					language: {
 						type: 'string',
 						enum: ['js', 'ts'],
-						default: 'js'
+						default: 'js',
+						description:
+							'The docblock flavor. TypeScript docblocks leave return types to the annotations and do not allow @returns.'
 					}
 				},
 				additionalProperties: false
@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Enforce required tags in class docblocks.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Inheritance and abstractness shape how a class is used, so they are stated in its docblock and can be seen without reading the class body.',
+			examples: {
+				bad: [
+					`/**
+ * File storage driver persisting every entry as a JSON file on the local disk.
+ */
+class FileStorage extends Storage {}`,
+					`/**
+ * File storage driver persisting every entry as a JSON file on the local disk.
+ *
+ * @extends Cache
+ */
+class FileStorage extends Storage {}`
+				],
+				good: [
+					`/**
+ * File storage driver persisting every entry as a JSON file on the local disk.
+ *
+ * @extends Storage
+ */
+class FileStorage extends Storage {}`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: [
@@ -18,7 +42,9 @@ export default {
 					language: {
 						type: 'string',
 						enum: ['js', 'ts'],
-						default: 'js'
+						default: 'js',
+						description:
+							'The class flavor. JavaScript classes are abstract when a method throws an "abstract" error, TypeScript classes when declared abstract.'
 					}
 				},
 				additionalProperties: false
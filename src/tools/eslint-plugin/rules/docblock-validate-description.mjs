@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Ensure docblock descriptions are valid.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Descriptions are full sentences ending with a period: at least 10 characters for functions and 50 for classes, so they say something useful, and at most 400, so they stay a summary.',
+			examples: {
+				bad: [
+					`/**
+ * Sum
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				],
+				good: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Ensure docblock js params are valid.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Parameters are documented in declaration order with a type, a name and a sentence introduced by a dash, in aligned columns, so the contract of a function reads like a table. Defaults are written in the description rather than with the bracket syntax.',
+			examples: {
+				bad: [
+					`/**
+ * Formats a price for display.
+ *
+ * @param {number} amount The amount
+ * @param {string} [currency='EUR'] - The currency code.
+ * @returns {string}
+ */
+const formatPrice = (amount, currency = 'EUR') => \`\${amount} \${currency}\`;`
+				],
+				good: [
+					`/**
+ * Formats a price for display.
+ *
+ * @param {number} amount   - The amount.
+ * @param {string} currency - Optional. The currency code. Default: 'EUR'.
+ * @returns {string}
+ */
+const formatPrice = (amount, currency = 'EUR') => \`\${amount} \${currency}\`;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -7,7 +7,28 @@ export default {
 		docs: {
 			description: 'Ensure docblock ts params are valid.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'TypeScript signatures already carry the types, so @param tags only name and describe the parameters and cannot drift from the annotations.',
+			examples: {
+				language: 'ts',
+				bad: [
+					`/**
+ * Formats a price for display.
+ *
+ * @param {number} amount - The amount.
+ */
+const formatPrice = (amount: number): string => \`\${amount} EUR\`;`
+				],
+				good: [
+					`/**
+ * Formats a price for display.
+ *
+ * @param amount - The amount.
+ */
+const formatPrice = (amount: number): string => \`\${amount} EUR\`;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
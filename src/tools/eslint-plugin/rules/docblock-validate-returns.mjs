@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Ensure docblock returns are valid.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Every function documents what it returns, void included, with a precise type and no description. Object results spell out their shape instead of the generic object type.',
+			examples: {
+				bad: [
+					`/**
+ * Loads the user settings.
+ */
+const loadSettings = () => ({ theme: 'dark' });`,
+					`/**
+ * Loads the user settings.
+ *
+ * @returns {object} The settings.
+ */
+const loadSettings = () => ({ theme: 'dark' });`
+				],
+				good: [
+					`/**
+ * Loads the user settings.
+ *
+ * @returns {{theme:string}}
+ */
+const loadSettings = () => ({ theme: 'dark' });`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Ensure docblock spacing is correct.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'A single blank line separates the description from the tags and the tags stay together, so every docblock has the same shape.',
+			examples: {
+				bad: [
+					`/**
+ * Adds two numbers together.
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ *
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				],
+				good: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
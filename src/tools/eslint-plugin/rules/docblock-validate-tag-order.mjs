@@ -8,7 +8,31 @@ export default {
 		docs: {
 			description: 'Ensure docblock tags are in the correct order.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Tags follow a fixed order, @see, @deprecated, @abstract, @extends, @param, @throws and @returns, so the same information is always found in the same place.',
+			examples: {
+				bad: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @returns {number}
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ */
+const sum = (a, b) => a + b;`
+				],
+				good: [
+					`/**
+ * Adds two numbers together.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number}
+ */
+const sum = (a, b) => a + b;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
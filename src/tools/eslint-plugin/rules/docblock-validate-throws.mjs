@@ -8,7 +8,38 @@ export default {
 		docs: {
 			description: 'Ensure docblock throws are valid.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Callers need to know which functions can fail: any function containing a throw statement or a try/catch block documents it with a single, typed @throws tag.',
+			examples: {
+				bad: [
+					`/**
+ * Parses a JSON configuration.
+ *
+ * @param {string} text - The JSON text.
+ * @returns {{name:string}}
+ */
+const parseConfig = (text) => {
+	if (!text) throw new Error('Empty configuration.');
+
+	return JSON.parse(text);
+};`
+				],
+				good: [
+					`/**
+ * Parses a JSON configuration.
+ *
+ * @param {string} text - The JSON text.
+ * @throws {Error} If the text is empty or invalid.
+ * @returns {{name:string}}
+ */
+const parseConfig = (text) => {
+	if (!text) throw new Error('Empty configuration.');
+
+	return JSON.parse(text);
+};`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -8,7 +8,19 @@ export default {
 		docs: {
 			description: 'Disallow block comments /* */ in favor of line comments //',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Block comments are reserved for docblocks. Explanatory comments use line comments, which are easier to add, remove and review.',
+			examples: {
+				bad: [
+					`/* Retry once before giving up */
+const attempts = 2;`
+				],
+				good: [
+					`// Retry once before giving up
+const attempts = 2;`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -8,7 +8,16 @@ export default {
 		docs: {
 			description: 'Disallow commented-out code',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Version control already keeps old code. Commented-out code goes stale, confuses readers and escapes every tool that checks real code.',
+			examples: {
+				bad: [
+					`const total = 10;
+/* const discount = total * 0.1; */`
+				],
+				good: [`const total = 10;`]
+			}
 		},
 		fixable: 'code',
 		schema: []
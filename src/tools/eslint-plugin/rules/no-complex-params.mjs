@@ -5,7 +5,34 @@ export default {
 		docs: {
 			description: 'Prevent overly complex function parameters.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Long parameter lists and nested defaults are hard to call correctly. Functions take at most five parameters and flat defaults, and anything larger becomes an options object.',
+			examples: {
+				bad: [
+					`/**
+ * Creates a user record.
+ *
+ * @param {string} name     - The user name.
+ * @param {string} email    - The email address.
+ * @param {string} role     - The user role.
+ * @param {string} team     - The team name.
+ * @param {string} locale   - The preferred locale.
+ * @param {string} timezone - The time zone.
+ * @returns {{name:string}}
+ */
+const createUser = (name, email, role, team, locale, timezone) => ({ name, email, role, team, locale, timezone });`
+				],
+				good: [
+					`/**
+ * Creates a user record.
+ *
+ * @param {object} user - Object containing the \`name\`, \`email\`, \`role\`, \`team\`, \`locale\` and \`timezone\`.
+ * @returns {{name:string}}
+ */
+const createUser = (user) => ({ ...user });`
+				]
+			}
 		},
 		schema: []
 	},
@@ -5,7 +5,13 @@ export default {
 		docs: {
 			description: 'Enforce node: prefix for Node.js built-in module imports.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'The node: prefix makes built-in modules explicit and cannot be shadowed by an installed package of the same name.',
+			examples: {
+				bad: [`import fs from 'fs';`],
+				good: [`import fs from 'node:fs';`]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -5,7 +5,22 @@ export default {
 		docs: {
 			description: 'Organize import statements in three pine-tree visual patterns.',
 			category: 'Stylistic Issues',
-			recommended: false
+			recommended: false,
+			rationale:
+				'Default imports, named imports and multiline imports form separate groups, each sorted by length and separated by a blank line, so every file opens with the same scannable import block.',
+			examples: {
+				bad: [
+					`import { readFileSync } from 'node:fs';
+import prettier from 'prettier';
+import path from 'node:path';`
+				],
+				good: [
+					`import path from 'node:path';
+import prettier from 'prettier';
+
+import { readFileSync } from 'node:fs';`
+				]
+			}
 		},
 		fixable: 'code',
 		schema: []
@@ -5,7 +5,40 @@ export default {
 		docs: {
 			description: 'Prefer named function declarations over inline functions.',
 			category: 'Best Practices',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Functions returned directly or nested in arrays, ternaries, other functions or templates get no name in stack traces and no docblock. Declaring them as named constants documents what they do.',
+			examples: {
+				bad: [
+					`/**
+ * Creates a label getter for a count.
+ *
+ * @param {number} count - The number of items.
+ * @returns {function}
+ */
+const createLabel = (count) => {
+	return () => \`\${count} items\`;
+};`
+				],
+				good: [
+					`/**
+ * Creates a label getter for a count.
+ *
+ * @param {number} count - The number of items.
+ * @returns {function}
+ */
+const createLabel = (count) => {
+	/**
+	 * Returns the label of the count.
+	 *
+	 * @returns {string}
+	 */
+	const getLabel = () => \`\${count} items\`;
+
+	return getLabel;
+};`
+				]
+			}
 		},
 		schema: []
 	},
@@ -17,7 +50,7 @@ export default {
 		 * @returns {void}
 		 */
 		const checkFunction = (node) => {
-			const parentType       = node.parent?.type;
+			const parentType = node.parent?.type;
 			const forbiddenParents = [
 				'ArrayExpression',
 				'ArrowFunctionExpression',
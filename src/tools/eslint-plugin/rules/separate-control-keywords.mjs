@@ -5,7 +5,42 @@ export default {
 		docs: {
 			description: 'Require control flow keywords (else, catch, finally) to be on separate lines',
 			category: 'Stylistic Issues',
-			recommended: true
+			recommended: true,
+			rationale:
+				'Starting else, catch and finally on their own line lines each branch up with its keyword and leaves room for a comment above every branch.',
+			examples: {
+				bad: [
+					`if (ready) {
+	start();
+} else {
+	wait();
+}`,
+					`try {
+	start();
+} catch (error) {
+	report(error);
+} finally {
+	stop();
+}`
+				],
+				good: [
+					`if (ready) {
+	start();
+}
+else {
+	wait();
+}`,
+					`try {
+	start();
+}
+catch (error) {
+	report(error);
+}
+finally {
+	stop();
+}`
+				]
+			}
 		},
 		fixable: 'whitespace',
 		schema: []
@@ -87,7 +122,8 @@ export default {
 			if (node.finalizer) {
 				let previousBlock = node.handler ? node.handler.body : node.block;
 
-				const finallyKeyword = sourceCode.getFirstToken(node.finalizer);
+				// The finalizer is the block after the keyword, so the keyword is the token before it
+				const finallyKeyword = sourceCode.getTokenBefore(node.finalizer);
 
 				if (finallyKeyword && 'finally' === finallyKeyword.value && 'BlockStatement' === previousBlock.type) {
 					const closingBrace = sourceCode.getLastToken(previousBlock);
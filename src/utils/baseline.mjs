@@ -0,0 +1,165 @@
+// Dependencies
+import path from 'node:path';
+
+import { createHash } from 'node:crypto';
+import { toPosixPath } from './files.mjs';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+/**
+ * The default location of the baseline file.
+ */
+export const defaultBaselineLocation = '.frakto-baseline.json';
+
+/**
+ * Frakto Baseline - Records known diagnostics so that only new violations are reported.
+ * Diagnostics are matched by file, rule code, message and the trimmed content of their line,
+ * so entries survive unrelated edits that move code around.
+ */
+class Baseline {
+	static version = 1;
+
+	/**
+	 * Constructor - Initialize an empty baseline bound to a file.
+	 *
+	 * @param {string} location - The baseline file path.
+	 * @returns {void}
+	 */
+	constructor(location) {
+		this.location = path.resolve(location);
+		this.root = path.dirname(this.location);
+		this.files = {};
+	}
+
+	/**
+	 * Loads the baseline file and returns whether it exists.
+	 *
+	 * @throws {Error} If the baseline file cannot be parsed or comes from another baseline version.
+	 * @returns {boolean}
+	 */
+	load() {
+		if (!existsSync(this.location)) return false;
+
+		let data;
+		try {
+			data = JSON.parse(readFileSync(this.location, 'utf8'));
+		}
+		catch (error) {
+			throw new Error(`Invalid baseline file ${this.location}: ${error.message}`);
+		}
+
+		if (Baseline.version !== data.version || 'object' !== typeof data.files) {
+			throw new Error(`Unsupported baseline file ${this.location}. Run with --write-baseline to regenerate it.`);
+		}
+
+		this.files = data.files;
+
+		return true;
+	}
+
+	/**
+	 * Returns the key of a file, relative to the baseline location.
+	 *
+	 * @param {string} filePath - The absolute path of the file.
+	 * @returns {string}
+	 */
+	getFileKey(filePath) {
+		return toPosixPath(path.relative(this.root, filePath));
+	}
+
+	/**
+	 * Groups the diagnostics of a file by fingerprint.
+	 *
+	 * @param {string} content     - The audited content.
+	 * @param {any[]}  diagnostics - The normalized diagnostics.
+	 * @returns {Map<string, Array>}
+	 */
+	group(content, diagnostics) {
+		const lines  = content.split(/\r?\n/);
+		const groups = new Map();
+
+		diagnostics.forEach((diagnostic) => {
+			const source = (lines[diagnostic.line - 1] || '').trim();
+			const fingerprint = createHash('sha256')
+				.update(`${diagnostic.code}\0${diagnostic.message}\0${source}`)
+				.digest('hex')
+				.slice(0, 16);
+
+			if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+			groups.get(fingerprint).push(diagnostic);
+		});
+
+		return groups;
+	}
+
+	/**
+	 * Records the current diagnostics of a file, replacing its previous entries.
+	 *
+	 * @param {string} filePath    - The absolute path of the file.
+	 * @param {string} content     - The audited content.
+	 * @param {any[]}  diagnostics - The normalized diagnostics.
+	 * @returns {void}
+	 */
+	record(filePath, content, diagnostics) {
+		const key     = this.getFileKey(filePath);
+		const entries = {};
+
+		for (const [fingerprint, group] of this.group(content, diagnostics)) {
+			entries[fingerprint] = { code: group[0].code, message: group[0].message, count: group.length };
+		}
+
+		if (Object.keys(entries).length) {
+			this.files[key] = entries;
+		}
+		else {
+			delete this.files[key];
+		}
+	}
+
+	/**
+	 * Splits the diagnostics of a file into new violations and baseline entries that are no longer reported.
+	 *
+	 * @param {string} filePath    - The absolute path of the file.
+	 * @param {string} content     - The audited content.
+	 * @param {any[]}  diagnostics - The normalized diagnostics.
+	 * @returns {{diagnostics:Array, fixed:Array}}
+	 */
+	match(filePath, content, diagnostics) {
+		const entries = this.files[this.getFileKey(filePath)] || {};
+		const groups  = this.group(content, diagnostics);
+		const known   = new Set();
+		const fixed   = [];
+
+		for (const [fingerprint, group] of groups) {
+			group.slice(0, entries[fingerprint]?.count || 0).forEach((diagnostic) => known.add(diagnostic));
+		}
+
+		for (const [fingerprint, entry] of Object.entries(entries)) {
+			const reported = groups.get(fingerprint)?.length || 0;
+
+			if (reported < entry.count) {
+				fixed.push({ ...entry, count: entry.count - reported });
+			}
+		}
+
+		return { diagnostics: diagnostics.filter((diagnostic) => !known.has(diagnostic)), fixed };
+	}
+
+	/**
+	 * Writes the baseline file with sorted keys, so it diffs cleanly under version control.
+	 *
+	 * @returns {void}
+	 */
+	save() {
+		const files = {};
+
+		Object.keys(this.files)
+			.sort()
+			.forEach((key) => {
+				files[key] = this.files[key];
+			});
+
+		writeFileSync(this.location, `${JSON.stringify({ version: Baseline.version, files }, null, '\t')}\n`, 'utf8');
+	}
+}
+
+export default Baseline;
@@ -0,0 +1,91 @@
+// Dependencies
+import path from 'node:path';
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+
+/**
+ * The default location of the on-disk result cache.
+ */
+export const defaultCacheLocation = '.frakto-cache';
+
+/**
+ * Frakto Result Cache - Stores audit results on disk keyed by file path and cache key.
+ */
+class ResultCache {
+	static version = 2;
+
+	/**
+	 * Constructor - Initialize an empty cache bound to a file.
+	 *
+	 * @param {string} location - The cache file path.
+	 * @returns {void}
+	 */
+	constructor(location) {
+		this.location = path.resolve(location);
+		this.entries = {};
+		this.dirty = false;
+	}
+
+	/**
+	 * Loads the cache file, starting empty when it is missing, corrupted or from another cache version.
+	 *
+	 * @throws {Error} Read and parse errors are caught and the cache starts empty.
+	 * @returns {void}
+	 */
+	load() {
+		try {
+			const data = JSON.parse(readFileSync(this.location, 'utf8'));
+			this.entries = ResultCache.version === data.version && data.entries ? data.entries : {};
+		}
+		catch {
+			this.entries = {};
+		}
+	}
+
+	/**
+	 * Returns the cached result of a file when its key still matches.
+	 *
+	 * @param {string} filePath - The absolute path of the file.
+	 * @param {string} key      - The cache key of the current audit.
+	 * @returns {{diagnostics:Array, ignored:boolean}|null}
+	 */
+	get(filePath, key) {
+		const entry = this.entries[filePath];
+		return entry && key === entry.key ? entry.result : null;
+	}
+
+	/**
+	 * Stores the result of a file.
+	 *
+	 * @param {string} filePath - The absolute path of the file.
+	 * @param {string} key      - The cache key of the audit.
+	 * @param {object} result   - Object containing the `diagnostics` and `ignored` state to store.
+	 * @returns {void}
+	 */
+	set(filePath, key, result) {
+		this.entries[filePath] = { key, result };
+		this.dirty = true;
+	}
+
+	/**
+	 * Writes the cache file, dropping entries of files that no longer exist.
+	 *
+	 * @returns {void}
+	 */
+	save() {
+		for (const filePath of Object.keys(this.entries)) {
+			if (!existsSync(filePath)) {
+				delete this.entries[filePath];
+				this.dirty = true;
+			}
+		}
+
+		if (!this.dirty) return;
+
+		mkdirSync(path.dirname(this.location), { recursive: true });
+		writeFileSync(this.location, JSON.stringify({ version: ResultCache.version, entries: this.entries }), 'utf8');
+		this.dirty = false;
+	}
+}
+
+export default ResultCache;
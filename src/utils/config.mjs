@@ -0,0 +1,273 @@
+// Dependencies
+import path from 'node:path';
+import prettier from 'prettier';
+
+import { statSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { matchesAny, toPosixPath } from './files.mjs';
+
+/**
+ * The file name of the project-level configuration.
+ */
+export const configFileName = 'frakto.config.mjs';
+
+/**
+ * Severities accepted in the `rules` section of the project configuration.
+ */
+const severities = ['off', 'warn', 'error', 0, 1, 2];
+
+/**
+ * Finds the closest project configuration file walking up from a directory.
+ *
+ * @param {string} startDir - The directory to start searching from.
+ * @returns {string|null}
+ */
+export const findProjectConfig = (startDir) => {
+	let directory = path.resolve(startDir);
+
+	while (true) {
+		const candidate = path.join(directory, configFileName);
+		if (statSync(candidate, { throwIfNoEntry: false })?.isFile()) return candidate;
+
+		const parent = path.dirname(directory);
+		if (parent === directory) return null;
+		directory = parent;
+	}
+};
+
+/**
+ * Validates the `rules` section of a configuration block.
+ *
+ * @param {object} rules      - The rules to validate.
+ * @param {string} configPath - The path of the configuration file.
+ * @throws {Error} If a rule is not a frakto rule or has an invalid severity.
+ * @returns {void}
+ */
+const validateRules = (rules, configPath) => {
+	for (const [rule, value] of Object.entries(rules || {})) {
+		const severity = Array.isArray(value) ? value[0] : value;
+
+		if (!rule.startsWith('frakto/')) {
+			throw new Error(`Invalid rule "${rule}" in ${configPath}: only frakto/* rules can be overridden.`);
+		}
+
+		if (!severities.includes(severity)) {
+			throw new Error(`Invalid severity for "${rule}" in ${configPath}: use one of ${severities.join(', ')}.`);
+		}
+	}
+};
+
+/**
+ * Validates the `languages` section of a configuration block, which maps languages to tool toggles.
+ * Only the formatters and linters a language runs by default can be toggled for it.
+ *
+ * @param {object} languages  - The tool toggles per language.
+ * @param {string} configPath - The path of the configuration file.
+ * @param {object} known      - Object containing the supported `languages` and the `tools` of each language.
+ * @throws {Error} If a language is unknown, a tool does not apply to it or a toggle is invalid.
+ * @returns {void}
+ */
+const validateLanguages = (languages, configPath, known) => {
+	if (undefined === languages) return;
+
+	if (!languages || 'object' !== typeof languages) {
+		throw new Error(`Invalid ${configPath}: "languages" must map languages to tool toggles.`);
+	}
+
+	for (const [language, toggles] of Object.entries(languages)) {
+		if (!known.languages.includes(language)) {
+			throw new Error(`Unknown language "${language}" in ${configPath}: use one of ${known.languages.join(', ')}.`);
+		}
+
+		for (const [tool, enabled] of Object.entries(toggles || {})) {
+			if (!known.tools[language].includes(tool)) {
+				throw new Error(
+					`Unknown tool "${tool}" for ${language} in ${configPath}: ${language} uses ${known.tools[language].join(', ') || 'no tools'}.`
+				);
+			}
+
+			if ('boolean' !== typeof enabled) {
+				throw new Error(`Invalid toggle for "${tool}" in ${configPath}: use true or false.`);
+			}
+		}
+	}
+};
+
+/**
+ * Validates the shape of a project configuration.
+ *
+ * @param {object} config     - The configuration exported by the file.
+ * @param {string} configPath - The path of the configuration file.
+ * @param {object} known      - Object containing the supported `languages` and the `tools` of each language.
+ * @throws {Error} If the configuration is malformed.
+ * @returns {void}
+ */
+const validateProjectConfig = (config, configPath, known) => {
+	if (!config || 'object' !== typeof config) {
+		throw new Error(`Invalid ${configPath}: the default export must be an object.`);
+	}
+
+	if (config.ignores && !Array.isArray(config.ignores)) {
+		throw new Error(`Invalid ${configPath}: "ignores" must be an array of globs.`);
+	}
+
+	if (config.overrides && !Array.isArray(config.overrides)) {
+		throw new Error(`Invalid ${configPath}: "overrides" must be an array.`);
+	}
+
+	if (config.configs && 'object' !== typeof config.configs) {
+		throw new Error(`Invalid ${configPath}: "configs" must map languages to tool configuration files.`);
+	}
+
+	validateRules(config.rules, configPath);
+	validateLanguages(config.languages, configPath, known);
+
+	for (const override of config.overrides || []) {
+		if (!Array.isArray(override.files) || !override.files.length) {
+			throw new Error(`Invalid ${configPath}: every override needs a non-empty "files" array.`);
+		}
+		validateRules(override.rules, configPath);
+		validateLanguages(override.languages, configPath, known);
+	}
+};
+
+/**
+ * Loads and validates a project configuration file.
+ * The modification time is appended to the import URL so edited files are reloaded.
+ *
+ * @param {string} configPath - The path of the configuration file.
+ * @param {object} known      - Object containing the supported `languages` and the `tools` of each language.
+ * @returns {Promise<object>}
+ */
+export const loadProjectConfig = async (configPath, known) => {
+	const mtime  = statSync(configPath).mtimeMs;
+	const module = await import(`${pathToFileURL(configPath).href}?mtime=${mtime}`);
+	const config = module.default;
+
+	validateProjectConfig(config, configPath, known);
+
+	return config;
+};
+
+/**
+ * Loads the Prettier options of a file from a Prettier configuration file, applying its matching `overrides`.
+ * Prettier imports JavaScript configurations once per process, so they are imported here with the modification
+ * time in the URL to pick up edits. Other formats are read by Prettier with its cache disabled.
+ *
+ * @param {string} configPath - The path of the Prettier configuration file.
+ * @param {string} filePath   - Optional. The path of the formatted file.
+ * @returns {Promise<object>}
+ */
+export const loadPrettierConfig = async (configPath, filePath) => {
+	if (!/\.[cm]?js$/.test(configPath)) {
+		return prettier.resolveConfig(filePath || configPath, { config: configPath, useCache: false });
+	}
+
+	const mtime        = statSync(configPath).mtimeMs;
+	const module       = await import(`${pathToFileURL(configPath).href}?mtime=${mtime}`);
+	const relativePath = filePath ? toPosixPath(path.relative(path.dirname(configPath), filePath)) : null;
+	const { overrides, ...options } = module.default || {};
+
+	for (const override of (relativePath && overrides) || []) {
+		const files    = [override.files].flat();
+		const excluded = [override.excludeFiles || []].flat();
+
+		if (matchesAny(relativePath, files) && !matchesAny(relativePath, excluded)) {
+			Object.assign(options, override.options);
+		}
+	}
+
+	/**
+	 * Resolves a relative plugin path against the configuration directory, as Prettier does.
+	 *
+	 * @param {any} plugin - The plugin name, path or object.
+	 * @returns {any}
+	 */
+	const resolvePlugin = (plugin) =>
+		'string' === typeof plugin && plugin.startsWith('.') ? path.resolve(path.dirname(configPath), plugin) : plugin;
+
+	if (Array.isArray(options.plugins)) {
+		options.plugins = options.plugins.map(resolvePlugin);
+	}
+
+	return options;
+};
+
+/**
+ * Applies per-language tool toggles to the default formatters and linters.
+ *
+ * @param {object}   tools      - Object containing the `formatters` and `linters` arrays.
+ * @param {object}   toggles    - Object mapping tool names to booleans.
+ * @param {string[]} formatters - The formatter tools of the language.
+ * @returns {{formatters:Array, linters:Array}}
+ */
+const applyToolToggles = (tools, toggles, formatters) => {
+	const result = { formatters: [...tools.formatters], linters: [...tools.linters] };
+
+	for (const [tool, enabled] of Object.entries(toggles || {})) {
+		const list = formatters.includes(tool) ? result.formatters : result.linters;
+
+		if (false === enabled) {
+			result.formatters = result.formatters.filter((name) => name !== tool);
+			result.linters = result.linters.filter((name) => name !== tool);
+		}
+		else if (true === enabled && !list.includes(tool)) {
+			list.push(tool);
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Resolves the tool configuration files declared for a language against the configuration directory.
+ *
+ * @param {object} configs - Object mapping tool names (`eslint`, `prettier`) to file paths.
+ * @param {string} baseDir - The directory of the project configuration file.
+ * @returns {{eslint?:string, prettier?:string}}
+ */
+const resolveConfigPaths = (configs, baseDir) => {
+	const resolved = {};
+
+	for (const [tool, configPath] of Object.entries(configs || {})) {
+		resolved[tool] = path.resolve(baseDir, configPath);
+	}
+
+	return resolved;
+};
+
+/**
+ * Resolves the effective settings of a file from a project configuration.
+ *
+ * @param {object} config  - The project configuration.
+ * @param {object} options - Object containing `configPath`, `filePath`, `language`, `tools` and `formatters`.
+ * @returns {{ignored:boolean, formatters:Array, linters:Array, rules:object, configs:object}}
+ */
+export const resolveFileConfig = (config, options) => {
+	const baseDir      = path.dirname(options.configPath);
+	const relativePath = options.filePath ? toPosixPath(path.relative(baseDir, options.filePath)) : null;
+	const isInside     = relativePath && !relativePath.startsWith('../') && !path.isAbsolute(relativePath);
+
+	/**
+	 * Checks if the file matches any of the given globs relative to the configuration file.
+	 *
+	 * @param {string[]} globs - The globs to match.
+	 * @returns {boolean}
+	 */
+	const matches = (globs) => Boolean(isInside && matchesAny(relativePath, globs || []));
+
+	const ignored = matches(config.ignores);
+	let tools   = applyToolToggles(options.tools, config.languages?.[options.language], options.formatters);
+	let rules   = { ...config.rules };
+	let configs = resolveConfigPaths(config.configs?.[options.language], baseDir);
+
+	for (const override of config.overrides || []) {
+		if (!matches(override.files)) continue;
+
+		tools = applyToolToggles(tools, override.languages?.[options.language], options.formatters);
+		rules = { ...rules, ...override.rules };
+		configs = { ...configs, ...resolveConfigPaths(override.configs?.[options.language], baseDir) };
+	}
+
+	return { ignored, ...tools, rules, configs };
+};
@@ -0,0 +1,274 @@
+/**
+ * Splits a text into lines, keeping the line terminators.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]}
+ */
+export const splitLines = (text) => {
+	return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+};
+
+/**
+ * Edit distance beyond which the changed block is replaced as a whole rather than diffed line by line,
+ * bounding the memory of the Myers trace on files that changed almost entirely, e.g. line ending conversions.
+ */
+const maxEditDistance = 1000;
+
+/**
+ * Walks the Myers trace backwards and collects the edit script.
+ *
+ * Each trace step only holds the `[-d - 1, d + 1]` window of diagonals its step can reach.
+ *
+ * @param {object} state - Object containing the `trace` and both line arrays.
+ * @returns {object[]}
+ */
+const backtrack = (state) => {
+	const { trace, oldLines, newLines } = state;
+	const operations = [];
+	let x = oldLines.length;
+	let y = newLines.length;
+
+	for (let d = trace.length - 1; 0 <= d; d--) {
+		const v     = trace[d];
+		const k     = x - y;
+		const down  = k === -d || (k !== d && v[k - 1 + d + 1] < v[k + 1 + d + 1]);
+		const prevK = down ? k + 1 : k - 1;
+		const prevX = v[prevK + d + 1];
+		const prevY = prevX - prevK;
+
+		while (x > prevX && y > prevY) {
+			operations.push({ type: 'equal', value: oldLines[x - 1] });
+			x--;
+			y--;
+		}
+
+		if (0 < d) {
+			operations.push(down ? { type: 'insert', value: newLines[y - 1] } : { type: 'delete', value: oldLines[x - 1] });
+		}
+
+		x = prevX;
+		y = prevY;
+	}
+
+	return operations.reverse();
+};
+
+/**
+ * Computes the shortest edit script between two line arrays using the Myers algorithm.
+ * Past `maxEditDistance`, every old line is deleted and every new line inserted instead.
+ *
+ * @param {string[]} oldLines - The original lines.
+ * @param {string[]} newLines - The updated lines.
+ * @returns {object[]}
+ */
+const myers = (oldLines, newLines) => {
+	const max    = oldLines.length + newLines.length;
+	const offset = max + 1;
+	const v      = new Array(2 * max + 3).fill(0);
+	const trace  = [];
+
+	for (let d = 0; d <= Math.min(max, maxEditDistance); d++) {
+		trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+		for (let k = -d; k <= d; k += 2) {
+			const down = k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]);
+			let x = down ? v[k + 1 + offset] : v[k - 1 + offset] + 1;
+			let y = x - k;
+
+			while (x < oldLines.length && y < newLines.length && oldLines[x] === newLines[y]) {
+				x++;
+				y++;
+			}
+
+			v[k + offset] = x;
+
+			if (x >= oldLines.length && y >= newLines.length) {
+				return backtrack({ trace, oldLines, newLines });
+			}
+		}
+	}
+
+	return [
+		...oldLines.map((value) => ({ type: 'delete', value })),
+		...newLines.map((value) => ({ type: 'insert', value }))
+	];
+};
+
+/**
+ * Computes a line based diff between two texts.
+ * Each operation is tagged with the zero based line indexes it starts at in both texts.
+ *
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The updated text.
+ * @returns {object[]}
+ */
+export const diffLines = (oldText, newText) => {
+	const oldLines = splitLines(oldText);
+	const newLines = splitLines(newText);
+
+	// Trim the common prefix and suffix to keep the edit graph small
+	let prefix = 0;
+	while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+		prefix++;
+	}
+
+	let suffix = 0;
+	while (
+		suffix < oldLines.length - prefix &&
+		suffix < newLines.length - prefix &&
+		oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+	) {
+		suffix++;
+	}
+
+	const middle = myers(
+		oldLines.slice(prefix, oldLines.length - suffix),
+		newLines.slice(prefix, newLines.length - suffix)
+	);
+
+	const operations = [
+		...oldLines.slice(0, prefix).map((value) => ({ type: 'equal', value })),
+		...middle,
+		...oldLines.slice(oldLines.length - suffix).map((value) => ({ type: 'equal', value }))
+	];
+
+	let oldIndex = 0;
+	let newIndex = 0;
+
+	return operations.map((operation) => {
+		const tagged = { ...operation, oldIndex, newIndex };
+
+		if ('insert' !== operation.type) oldIndex++;
+		if ('delete' !== operation.type) newIndex++;
+
+		return tagged;
+	});
+};
+
+/**
+ * Formats a diff line with its prefix, flagging lines without a trailing newline.
+ *
+ * @param {string} prefix - The unified diff prefix (` `, `-` or `+`).
+ * @param {string} value  - The line including its terminator.
+ * @returns {string[]}
+ */
+const formatLine = (prefix, value) => {
+	const line = `${prefix}${value.replace(/\r?\n$/, '')}`;
+	return value.endsWith('\n') ? [line] : [line, '\\ No newline at end of file'];
+};
+
+/**
+ * Creates a unified diff between two texts.
+ *
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The updated text.
+ * @param {object} options - Optional. Object containing `oldName`, `newName` and `context` lines. Default: {}.
+ * @returns {string}
+ */
+export const createUnifiedDiff = (oldText, newText, options = {}) => {
+	const context    = options.context ?? 3;
+	const operations = diffLines(oldText, newText);
+	const changes    = operations.map((operation, index) => ('equal' === operation.type ? -1 : index)).filter((i) => -1 < i);
+
+	if (!changes.length) {
+		return '';
+	}
+
+	// Group changes that are close enough to share context lines
+	const ranges = [];
+	for (const index of changes) {
+		const start = Math.max(0, index - context);
+		const end   = Math.min(operations.length - 1, index + context);
+		const last  = ranges[ranges.length - 1];
+
+		if (last && start <= last.end + 1) {
+			last.end = end;
+		}
+		else {
+			ranges.push({ start, end });
+		}
+	}
+
+	const output = [`--- ${options.oldName || 'original'}`, `+++ ${options.newName || 'formatted'}`];
+
+	for (const range of ranges) {
+		const hunk     = operations.slice(range.start, range.end + 1);
+		const oldCount = hunk.filter((operation) => 'insert' !== operation.type).length;
+		const newCount = hunk.filter((operation) => 'delete' !== operation.type).length;
+		const oldStart = 0 === oldCount ? hunk[0].oldIndex : hunk[0].oldIndex + 1;
+		const newStart = 0 === newCount ? hunk[0].newIndex : hunk[0].newIndex + 1;
+
+		output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+
+		for (const operation of hunk) {
+			const prefix = { equal: ' ', delete: '-', insert: '+' }[operation.type];
+			output.push(...formatLine(prefix, operation.value));
+		}
+	}
+
+	return `${output.join('\n')}\n`;
+};
+
+/**
+ * Computes the minimal text edits turning a text into another one.
+ * Changed line blocks are narrowed down to the characters that actually differ, and every edit
+ * refers to offsets of the original text, in ascending order and without overlaps.
+ *
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The updated text.
+ * @returns {{start:number, end:number, newText:string}[]}
+ */
+export const createTextEdits = (oldText, newText) => {
+	const edits = [];
+	let offset  = 0;
+	let pending = null;
+
+	/**
+	 * Turns the pending changed block into an edit, trimming the characters both sides share.
+	 *
+	 * @returns {void}
+	 */
+	const flush = () => {
+		if (!pending) return;
+
+		const { removed, added } = pending;
+		const limit = Math.min(removed.length, added.length);
+		let prefix = 0;
+		let suffix = 0;
+
+		while (prefix < limit && removed[prefix] === added[prefix]) prefix++;
+		while (suffix < limit - prefix && removed[removed.length - 1 - suffix] === added[added.length - 1 - suffix]) {
+			suffix++;
+		}
+
+		edits.push({
+			start: pending.start + prefix,
+			end: pending.start + removed.length - suffix,
+			newText: added.slice(prefix, added.length - suffix)
+		});
+
+		pending = null;
+	};
+
+	for (const operation of diffLines(oldText, newText)) {
+		if ('equal' === operation.type) {
+			flush();
+			offset += operation.value.length;
+			continue;
+		}
+
+		pending = pending || { start: offset, removed: '', added: '' };
+
+		if ('delete' === operation.type) {
+			pending.removed += operation.value;
+			offset += operation.value.length;
+		}
+		else {
+			pending.added += operation.value;
+		}
+	}
+
+	flush();
+
+	return edits;
+};
@@ -0,0 +1,244 @@
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+
+import { readdirSync, statSync } from 'node:fs';
+
+/**
+ * Maps file extensions to the languages supported by the auditor.
+ */
+export const languageMap = {
+	'.js': 'javascript',
+	'.mjs': 'javascript',
+	'.cjs': 'javascript',
+	'.ts': 'typescript',
+	'.mts': 'typescript',
+	'.cts': 'typescript',
+	'.html': 'html',
+	'.htm': 'html',
+	'.json': 'json',
+	'.jsonc': 'jsonc',
+	'.md': 'markdown',
+	'.markdown': 'markdown',
+	'.php': 'php',
+	'.phtml': 'php',
+	'.css': 'css',
+	'.scss': 'scss',
+	'.sass': 'scss',
+	'.yaml': 'yaml',
+	'.yml': 'yaml'
+};
+
+/**
+ * Glob patterns ignored while expanding directories and globs.
+ */
+export const defaultIgnores = ['**/node_modules/**', '**/vendor/**', '**/.git/**'];
+
+/**
+ * Detects the language of a file from its extension.
+ *
+ * @param {string} filePath - The path of the file.
+ * @returns {string|null}
+ */
+export const detectLanguage = (filePath) => {
+	const ext = path.extname(filePath).toLowerCase();
+	return languageMap[ext] || null;
+};
+
+/**
+ * Normalizes a path to forward slashes so it can be matched against globs.
+ *
+ * @param {string} filePath - The path to normalize.
+ * @returns {string}
+ */
+export const toPosixPath = (filePath) => {
+	return filePath.split(path.sep).join('/');
+};
+
+/**
+ * Checks if a pattern contains glob syntax.
+ *
+ * @param {string} pattern - The pattern to check.
+ * @returns {boolean}
+ */
+export const isGlob = (pattern) => {
+	return /[*?[\]{}]/.test(pattern);
+};
+
+/**
+ * Converts a glob pattern into a regular expression.
+ * Supports `**`, `*`, `?`, character classes and `{a,b}` alternations.
+ *
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp}
+ */
+export const globToRegExp = (pattern) => {
+	let source     = '';
+	let braceDepth = 0;
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if ('*' === char && '*' === pattern[i + 1]) {
+			const isSegment = (0 === i || '/' === pattern[i - 1]) && '/' === pattern[i + 2];
+			source += isSegment ? '(?:.*/)?' : '.*';
+			i += isSegment ? 2 : 1;
+		}
+		else if ('*' === char) {
+			source += '[^/]*';
+		}
+		else if ('?' === char) {
+			source += '[^/]';
+		}
+		else if ('[' === char) {
+			const end = pattern.indexOf(']', i + 1);
+			if (-1 === end) {
+				source += '\\[';
+				continue;
+			}
+			source += `[${pattern
+				.slice(i + 1, end)
+				.replace(/^!/, '^')
+				.replace(/\\/g, '\\\\')}]`;
+			i = end;
+		}
+		else if ('{' === char) {
+			source += '(?:';
+			braceDepth++;
+		}
+		else if ('}' === char && 0 < braceDepth) {
+			source += ')';
+			braceDepth--;
+		}
+		else if (',' === char && 0 < braceDepth) {
+			source += '|';
+		}
+		else {
+			source += char.replace(/[.+^$()|\\]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+};
+
+/**
+ * Checks if a relative path matches any of the given glob patterns.
+ * Patterns without a slash match against the file name at any depth.
+ *
+ * @param {string}   relativePath - The posix path relative to the patterns base.
+ * @param {string[]} patterns     - The glob patterns.
+ * @returns {boolean}
+ */
+export const matchesAny = (relativePath, patterns) => {
+	return patterns.some((pattern) => {
+		const normalized = pattern.replace(/^\.\//, '').replace(/\/$/, '/**');
+		const target     = normalized.includes('/') ? relativePath : path.posix.basename(relativePath);
+		return globToRegExp(normalized).test(target);
+	});
+};
+
+/**
+ * Returns the leading part of a glob pattern that contains no glob syntax.
+ *
+ * @param {string} pattern - The glob pattern.
+ * @returns {string}
+ */
+const getGlobBase = (pattern) => {
+	const segments = pattern.split('/');
+	const base     = [];
+
+	for (const segment of segments) {
+		if (isGlob(segment)) break;
+		base.push(segment);
+	}
+
+	return base.join('/') || '.';
+};
+
+/**
+ * Recursively collects files below a directory, skipping ignored paths.
+ *
+ * @param {string}   directory - The directory to walk.
+ * @param {string}   cwd       - The directory ignore patterns are relative to.
+ * @param {string[]} ignore    - The glob patterns to skip.
+ * @returns {string[]}
+ */
+const walk = (directory, cwd, ignore) => {
+	const files = [];
+
+	for (const entry of readdirSync(directory, { withFileTypes: true })) {
+		const fullPath     = path.join(directory, entry.name);
+		const relativePath = toPosixPath(path.relative(cwd, fullPath));
+		const probePath    = entry.isDirectory() ? `${relativePath}/` : relativePath;
+
+		if (matchesAny(probePath, ignore) || matchesAny(relativePath, ignore)) {
+			continue;
+		}
+
+		if (entry.isDirectory()) {
+			files.push(...walk(fullPath, cwd, ignore));
+		}
+		else if (entry.isFile()) {
+			files.push(fullPath);
+		}
+	}
+
+	return files;
+};
+
+/**
+ * Expands files, directories and glob patterns into a sorted list of absolute file paths.
+ * Directories only yield files with a supported language, explicit files are always kept.
+ *
+ * @param {string[]} patterns - The files, directories or globs to expand.
+ * @param {object}   options  - Optional. Object containing `cwd` and extra `ignore` globs. Default: {}.
+ * @throws {Error} If an explicit path does not exist.
+ * @returns {string[]}
+ */
+export const expandPaths = (patterns, options = {}) => {
+	const cwd    = path.resolve(options.cwd || process.cwd());
+	const ignore = [...defaultIgnores, ...(options.ignore || [])];
+	const files  = new Set();
+
+	for (const pattern of patterns) {
+		const posixPattern = toPosixPath(pattern);
+
+		// Glob pattern
+		if (isGlob(posixPattern)) {
+			const base     = path.resolve(cwd, getGlobBase(posixPattern));
+			const absolute = path.posix.isAbsolute(posixPattern);
+			const matcher  = globToRegExp(absolute ? posixPattern : path.posix.normalize(posixPattern));
+			const stats    = statSync(base, { throwIfNoEntry: false });
+
+			if (!stats) {
+				continue;
+			}
+
+			// Relative patterns match relative paths, as the cwd itself may contain glob syntax
+			const candidates = stats.isDirectory() ? walk(base, cwd, ignore) : [base];
+			candidates
+				.filter((file) => matcher.test(toPosixPath(absolute ? file : path.relative(cwd, file))))
+				.forEach((file) => files.add(file));
+			continue;
+		}
+
+		// Directory or file
+		const target = path.resolve(cwd, pattern);
+		const stats  = statSync(target, { throwIfNoEntry: false });
+
+		if (!stats) {
+			throw new Error(`No such file or directory: ${pattern}`);
+		}
+
+		if (stats.isDirectory()) {
+			walk(target, cwd, ignore)
+				.filter((file) => null !== detectLanguage(file))
+				.forEach((file) => files.add(file));
+		}
+		else {
+			files.add(target);
+		}
+	}
+
+	return [...files].sort();
+};
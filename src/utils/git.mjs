@@ -0,0 +1,99 @@
+// Dependencies
+import path from 'node:path';
+
+import { toPosixPath } from './files.mjs';
+import { execFileSync } from 'node:child_process';
+
+/**
+ * Runs a git command and returns its standard output.
+ *
+ * @param {string[]} args    - The git arguments.
+ * @param {object}   options - Object containing the working directory `cwd` and an optional `input`.
+ * @throws {Error} If git is missing or the command fails.
+ * @returns {string}
+ */
+const git = (args, options) => {
+	try {
+		return execFileSync('git', args, {
+			cwd: options.cwd,
+			input: options.input,
+			encoding: 'utf8',
+			maxBuffer: 64 * 1024 * 1024,
+			stdio: ['pipe', 'pipe', 'pipe']
+		});
+	}
+	catch (error) {
+		const reason = error.stderr?.toString().trim() || error.message;
+		throw new Error(`git ${args[0]} failed: ${reason}`);
+	}
+};
+
+/**
+ * Returns the root directory of the repository containing a directory.
+ *
+ * @param {string} cwd - The directory inside the repository.
+ * @returns {string}
+ */
+export const getRepositoryRoot = (cwd) => git(['rev-parse', '--show-toplevel'], { cwd }).trim();
+
+/**
+ * Lists the absolute paths of the files added, copied, modified or renamed in the index.
+ *
+ * @param {string} root - The repository root.
+ * @returns {string[]}
+ */
+export const getStagedFiles = (root) =>
+	git(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '-z'], { cwd: root })
+		.split('\0')
+		.filter(Boolean)
+		.map((file) => path.join(root, file));
+
+/**
+ * Reads the staged content of a file from the index.
+ *
+ * @param {string} root     - The repository root.
+ * @param {string} filePath - The absolute path of the file.
+ * @returns {string}
+ */
+export const readStagedFile = (root, filePath) => {
+	const relativePath = toPosixPath(path.relative(root, filePath));
+	return git(['show', `:${relativePath}`], { cwd: root });
+};
+
+/**
+ * Checks if a file has working tree changes that are not staged.
+ *
+ * @param {string} root     - The repository root.
+ * @param {string} filePath - The absolute path of the file.
+ * @returns {boolean}
+ */
+export const hasUnstagedChanges = (root, filePath) => {
+	const relativePath = toPosixPath(path.relative(root, filePath));
+	return '' !== git(['diff', '--name-only', '--', relativePath], { cwd: root }).trim();
+};
+
+/**
+ * Replaces the staged content of a file, keeping its file mode.
+ *
+ * @param {string} root     - The repository root.
+ * @param {string} filePath - The absolute path of the file.
+ * @param {string} content  - The new content.
+ * @returns {void}
+ */
+export const writeStagedFile = (root, filePath, content) => {
+	const relativePath = toPosixPath(path.relative(root, filePath));
+	const entry        = git(['ls-files', '--stage', '--', relativePath], { cwd: root }).trim();
+	const mode         = entry.split(' ')[0] || '100644';
+	const blob         = git(['hash-object', '-w', '--stdin', `--path=${relativePath}`], { cwd: root, input: content }).trim();
+
+	git(['update-index', '--cacheinfo', `${mode},${blob},${relativePath}`], { cwd: root });
+};
+
+/**
+ * Returns the absolute path of the directory git runs hooks from, honoring `core.hooksPath` and worktrees.
+ *
+ * @param {string} root - The repository root.
+ * @returns {string}
+ */
+export const getHooksDirectory = (root) =>
+	path.resolve(root, git(['rev-parse', '--git-path', 'hooks'], { cwd: root }).trim());
@@ -0,0 +1,149 @@
+// Dependencies
+import path from 'node:path';
+
+import { fileURLToPath } from 'node:url';
+import { getHooksDirectory } from './git.mjs';
+import { chmodSync, existsSync, mkdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+
+/**
+ * Markers delimiting the Frakto block inside a hook script.
+ */
+const markers = {
+	start: '# frakto-coding-standards:start',
+	end: '# frakto-coding-standards:end'
+};
+
+/**
+ * Absolute path of the CLI, used by hooks written outside version control.
+ */
+const cliPath = fileURLToPath(new URL('../../bin/cli.mjs', import.meta.url));
+
+/**
+ * The commands run by each hook. Warnings exit with 1 and must not block the commit.
+ */
+const hookCommands = {
+	'pre-commit': 'both --staged',
+	'commit-msg': 'commit-msg "$1"'
+};
+
+/**
+ * Resolves where hooks are written. Husky projects get their hooks in `.husky`, which is committed
+ * and resolves the CLI from node_modules, while plain repositories use the git hooks directory.
+ *
+ * @param {string} root - The repository root.
+ * @throws {Error} If the configured hooks path is not a directory.
+ * @returns {{directory:string, husky:boolean}}
+ */
+const getHooksTarget = (root) => {
+	const huskyDirectory = path.join(root, '.husky');
+
+	if (existsSync(huskyDirectory)) {
+		return { directory: huskyDirectory, husky: true };
+	}
+
+	const directory = getHooksDirectory(root);
+	if (existsSync(directory) && !statSync(directory).isDirectory()) {
+		throw new Error(`The git hooks path ${directory} is not a directory, check the core.hooksPath setting.`);
+	}
+
+	return { directory, husky: false };
+};
+
+/**
+ * Builds the Frakto block of a hook.
+ * The exit status is captured with `||`, so hooks run with `sh -e`, as Husky does, reach the warnings check.
+ *
+ * @param {string}  hook  - The hook name.
+ * @param {boolean} husky - Whether the hook belongs to a Husky setup.
+ * @returns {string}
+ */
+const createBlock = (hook, husky) => {
+	const binary = husky ? 'npx --no-install fraktoAudit' : `node "${cliPath}"`;
+
+	return [
+		markers.start,
+		'frakto_status=0',
+		`${binary} ${hookCommands[hook]} || frakto_status=$?`,
+		'[ "$frakto_status" -le 1 ] || exit "$frakto_status"',
+		markers.end,
+		''
+	].join('\n');
+};
+
+/**
+ * Removes the Frakto block from a hook script.
+ *
+ * @param {string} script - The hook script.
+ * @returns {string}
+ */
+const removeBlock = (script) => {
+	const start = script.indexOf(markers.start);
+	const end   = script.indexOf(markers.end);
+	if (-1 === start || -1 === end) return script;
+
+	return script.slice(0, start) + script.slice(end + markers.end.length).replace(/^\r?\n/, '');
+};
+
+/**
+ * Writes the Frakto pre-commit and commit-msg hooks, chaining into existing hook scripts.
+ * The Frakto block runs first, right after the shebang and the Husky `husky.sh` setup line when there is one,
+ * so an early `exit` in the existing script cannot skip it.
+ *
+ * @param {string} root - The repository root.
+ * @returns {any[]}
+ */
+export const installHooks = (root) => {
+	const target = getHooksTarget(root);
+	mkdirSync(target.directory, { recursive: true });
+
+	return Object.keys(hookCommands).map((hook) => {
+		const hookPath = path.join(target.directory, hook);
+		const block    = createBlock(hook, target.husky);
+		const existing = existsSync(hookPath) ? readFileSync(hookPath, 'utf8') : null;
+		let action = 'created';
+		let script = `${target.husky ? '' : '#!/bin/sh\n'}${block}`;
+
+		if (null !== existing) {
+			const rest   = removeBlock(existing);
+			const setup  = /^.*\/husky\.sh\b.*\r?\n/m.exec(rest);
+			const header = setup ? rest.slice(0, setup.index + setup[0].length) : /^#!.*\r?\n/.exec(rest)?.[0] || '';
+
+			script = `${header}${block}${rest.slice(header.length)}`;
+			action = script === existing ? 'unchanged' : 'updated';
+		}
+
+		writeFileSync(hookPath, script, 'utf8');
+		chmodSync(hookPath, 0o755);
+
+		return { hook, path: hookPath, action, husky: target.husky };
+	});
+};
+
+/**
+ * Removes the Frakto block from the pre-commit and commit-msg hooks, deleting hook scripts left empty.
+ *
+ * @param {string} root - The repository root.
+ * @returns {any[]}
+ */
+export const uninstallHooks = (root) => {
+	const target = getHooksTarget(root);
+
+	return Object.keys(hookCommands).map((hook) => {
+		const hookPath = path.join(target.directory, hook);
+		const existing = existsSync(hookPath) ? readFileSync(hookPath, 'utf8') : '';
+		const script   = removeBlock(existing);
+
+		if (script === existing) {
+			return { hook, path: hookPath, action: 'missing', husky: target.husky };
+		}
+
+		if ('' === script.replace(/^#!.*$/m, '').trim()) {
+			rmSync(hookPath);
+			return { hook, path: hookPath, action: 'removed', husky: target.husky };
+		}
+
+		writeFileSync(hookPath, script, 'utf8');
+
+		return { hook, path: hookPath, action: 'updated', husky: target.husky };
+	});
+};
@@ -0,0 +1,117 @@
+/**
+ * Converts a 1-based line and column position into an offset of the content.
+ *
+ * @param {string} content  - The content.
+ * @param {object} position - Object containing the 1-based `line` and `column`.
+ * @returns {number}
+ */
+export const positionToOffset = (content, position) => {
+	let offset = 0;
+
+	for (let line = 1; line < position.line; line++) {
+		const next = content.indexOf('\n', offset);
+		if (-1 === next) return content.length;
+
+		offset = next + 1;
+	}
+
+	const lineEnd = content.indexOf('\n', offset);
+	const length  = (-1 === lineEnd ? content.length : lineEnd) - offset;
+
+	return offset + Math.min(Math.max(0, position.column - 1), length);
+};
+
+/**
+ * Converts an offset of the content into a 1-based line and column position.
+ *
+ * @param {string} content - The content.
+ * @param {number} offset  - The offset.
+ * @returns {{line:number, column:number}}
+ */
+export const offsetToPosition = (content, offset) => {
+	const before = content.slice(0, Math.max(0, Math.min(offset, content.length)));
+	const lines  = before.split('\n');
+
+	return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+/**
+ * Normalizes the range of an audit request into content offsets.
+ * Both ends are either offsets or objects containing a 1-based `line` and `column`.
+ *
+ * @param {string} content - The content the range refers to.
+ * @param {object} range   - Object containing the `start` and `end` of the range.
+ * @throws {Error} If the range is malformed or its end precedes its start.
+ * @returns {{start:number, end:number}}
+ */
+export const resolveRange = (content, range) => {
+	/**
+	 * Converts one end of the range into an offset.
+	 *
+	 * @param {number|object} value - The offset or position.
+	 * @param {string}        name  - The name of the end, for error messages.
+	 * @throws {Error} If the value is neither an offset nor a position.
+	 * @returns {number}
+	 */
+	const toOffset = (value, name) => {
+		if (Number.isInteger(value) && 0 <= value) {
+			return Math.min(value, content.length);
+		}
+
+		if (Number.isInteger(value?.line) && Number.isInteger(value?.column) && 0 < value.line && 0 < value.column) {
+			return positionToOffset(content, value);
+		}
+
+		throw new Error(`Invalid range ${name}: expected an offset or a 1-based { line, column } position.`);
+	};
+
+	const start = toOffset(range?.start, 'start');
+	const end   = toOffset(range?.end, 'end');
+
+	if (end < start) {
+		throw new Error('Invalid range: the end precedes the start.');
+	}
+
+	return { start, end };
+};
+
+/**
+ * Creates a function converting offsets of the content into 1-based line and column positions,
+ * indexing the line starts once so that converting many offsets stays fast.
+ *
+ * @param {string} content - The content.
+ * @returns {function}
+ */
+export const createPositionResolver = (content) => {
+	const lineStarts = [0];
+
+	for (let index = content.indexOf('\n'); -1 !== index; index = content.indexOf('\n', index + 1)) {
+		lineStarts.push(index + 1);
+	}
+
+	/**
+	 * Converts an offset into a 1-based line and column position.
+	 *
+	 * @param {number} offset - The offset.
+	 * @returns {{line:number, column:number}}
+	 */
+	const resolve = (offset) => {
+		let low  = 0;
+		let high = lineStarts.length - 1;
+
+		while (low < high) {
+			const middle = Math.ceil((low + high) / 2);
+
+			if (lineStarts[middle] <= offset) {
+				low = middle;
+			}
+			else {
+				high = middle - 1;
+			}
+		}
+
+		return { line: low + 1, column: offset - lineStarts[low] + 1 };
+	};
+
+	return resolve;
+};
@@ -0,0 +1,196 @@
+// Dependencies
+import pc from 'picocolors';
+
+/**
+ * The repository hosting the coding standards.
+ */
+export const repositoryUrl = 'https://github.com/fraktodev/frakto-coding-standards';
+
+/**
+ * The base URL of the generated rule documentation.
+ */
+export const rulesDocsUrl = `${repositoryUrl}/blob/main/docs/rules`;
+
+/**
+ * Returns the documentation URL of a Frakto rule, named without its `frakto/` prefix.
+ *
+ * @param {string} name - The rule name.
+ * @returns {string}
+ */
+export const getRuleDocsUrl = (name) => `${rulesDocsUrl}/${name}.md`;
+
+/**
+ * Loads the documented rules: the Frakto ESLint rules and the emoji linter.
+ * Modules are imported lazily, as the ESLint plugin itself depends on this file.
+ *
+ * @returns {Promise<Map<string, object>>}
+ */
+export const loadDocumentedRules = async () => {
+	const { default: frakto } = await import('../tools/eslint-plugin/index.mjs');
+	const { default: emojiLinter } = await import('../tools/emoji-linter/index.mjs');
+	const rules = new Map();
+
+	for (const [name, rule] of Object.entries(frakto.rules)) {
+		rules.set(`frakto/${name}`, { code: `frakto/${name}`, name, meta: rule.meta });
+	}
+
+	rules.set('no-emoji', { code: 'no-emoji', name: 'no-emoji', meta: emojiLinter.meta });
+
+	return rules;
+};
+
+/**
+ * Lists the options of a rule from its JSON schema.
+ *
+ * @param {object} meta - The rule meta.
+ * @returns {{name:string, type:string, values:Array, defaultValue:any, description:string}[]}
+ */
+const getRuleOptions = (meta) => {
+	const properties = meta.schema?.[0]?.properties || {};
+
+	return Object.keys(properties).map((name) => ({
+		name,
+		type: properties[name].type,
+		values: properties[name].enum || [],
+		defaultValue: properties[name].default,
+		description: properties[name].description || ''
+	}));
+};
+
+/**
+ * Returns the description of a rule as a sentence.
+ *
+ * @param {object} meta - The rule meta.
+ * @returns {string}
+ */
+export const getRuleDescription = (meta) => meta.docs.description.replace(/([^.])$/, '$1.');
+
+/**
+ * Describes whether and how a rule fixes its problems.
+ *
+ * @param {object} meta - The rule meta.
+ * @returns {string}
+ */
+const describeFixable = (meta) => (meta.fixable ? `yes (${meta.fixable})` : 'no');
+
+/**
+ * Renders the Markdown documentation page of a rule.
+ *
+ * @param {object} rule - Object containing the rule `code` and `meta`.
+ * @returns {string}
+ */
+export const renderRuleMarkdown = (rule) => {
+	const { docs, type } = rule.meta;
+	const examples = docs.examples || {};
+	const language = examples.language || 'js';
+	const options  = getRuleOptions(rule.meta);
+	const lines = [
+		'<!-- Generated by `npm run docs` from the rule meta, do not edit by hand. -->',
+		'',
+		`# ${rule.code}`,
+		'',
+		getRuleDescription(rule.meta),
+		'',
+		`- Type: \`${type}\``,
+		`- Category: ${docs.category}`,
+		`- Recommended: ${docs.recommended ? 'yes' : 'no'}`,
+		`- Fixable: ${describeFixable(rule.meta)}`,
+		''
+	];
+
+	if (docs.rationale) {
+		lines.push('## Rationale', '', docs.rationale, '');
+	}
+
+	lines.push('## Options', '');
+
+	if (options.length) {
+		options.forEach((option) => {
+			const values   = option.values.map((value) => `\`${JSON.stringify(value)}\``).join(' | ');
+			const fallback = undefined === option.defaultValue ? '' : ` Default: \`${JSON.stringify(option.defaultValue)}\`.`;
+
+			lines.push(`- \`${option.name}\` (${values || option.type}): ${option.description}${fallback}`);
+		});
+		lines.push('');
+	}
+	else {
+		lines.push('This rule has no options.', '');
+	}
+
+	if (examples.bad?.length || examples.good?.length) {
+		lines.push('## Examples', '');
+
+		const sections = { Incorrect: examples.bad || [], Correct: examples.good || [] };
+
+		for (const title of Object.keys(sections).filter((key) => sections[key].length)) {
+			// Incorrect samples of the non-ESLint linters would otherwise be reported on the page itself
+			const silenced = 'Incorrect' === title && !rule.code.startsWith('frakto/');
+
+			lines.push(`### ${title}`, '');
+			if (silenced) lines.push(`<!-- frakto-disable ${rule.code} -->`, '');
+
+			// Keep Prettier from reformatting samples that illustrate formatting rules
+			sections[title].forEach((sample) => {
+				lines.push('<!-- prettier-ignore -->', `\`\`\`${language}`, sample.trimEnd(), '```', '');
+			});
+
+			if (silenced) lines.push(`<!-- frakto-enable ${rule.code} -->`, '');
+		}
+	}
+
+	return `${lines.join('\n').trimEnd()}\n`;
+};
+
+/**
+ * Renders the explanation of a rule for the terminal.
+ *
+ * @param {object} rule - Object containing the rule `code` and `meta`.
+ * @returns {string}
+ */
+export const renderRuleExplanation = (rule) => {
+	const { docs, type } = rule.meta;
+	const examples = docs.examples || {};
+	const options  = getRuleOptions(rule.meta);
+	const lines = [
+		pc.bold(rule.code),
+		getRuleDescription(rule.meta),
+		'',
+		pc.dim(
+			`Type: ${type}  Category: ${docs.category}  Recommended: ${docs.recommended ? 'yes' : 'no'}  Fixable: ${describeFixable(rule.meta)}`
+		)
+	];
+
+	/**
+	 * Indents a code sample below its heading.
+	 *
+	 * @param {string} sample - The code sample.
+	 * @returns {string}
+	 */
+	const indent = (sample) =>
+		sample
+			.trimEnd()
+			.split('\n')
+			.map((line) => `    ${line.replace(/\t/g, '  ')}`)
+			.join('\n');
+
+	if (docs.rationale) {
+		lines.push('', pc.bold('Rationale'), docs.rationale);
+	}
+
+	if (options.length) {
+		lines.push('', pc.bold('Options'));
+		options.forEach((option) => {
+			const values   = option.values.map((value) => JSON.stringify(value)).join(' | ') || option.type;
+			const fallback = undefined === option.defaultValue ? '' : ` Default: ${JSON.stringify(option.defaultValue)}.`;
+
+			lines.push(`  ${option.name} (${values}): ${option.description}${fallback}`);
+		});
+	}
+
+	(examples.bad || []).forEach((sample) => lines.push('', pc.red('Incorrect'), indent(sample)));
+	(examples.good || []).forEach((sample) => lines.push('', pc.green('Correct'), indent(sample)));
+
+	lines.push('', pc.dim(`Docs: ${getRuleDocsUrl(rule.name)}`));
+
+	return lines.join('\n');
+};
@@ -0,0 +1,149 @@
+// Dependencies
+import path from 'node:path';
+
+import { existsSync, readdirSync, statSync, watch } from 'node:fs';
+import { defaultIgnores, isGlob, matchesAny, toPosixPath } from './files.mjs';
+
+/**
+ * Returns the directories to watch for a list of paths or glob patterns: directories themselves,
+ * the parent directory of files and the static base directory of globs.
+ *
+ * @param {string[]} patterns - The files, directories or glob patterns.
+ * @param {string}   cwd      - The directory patterns are resolved from.
+ * @returns {any[]}
+ */
+export const getWatchRoots = (patterns, cwd) => {
+	const roots = new Map();
+
+	patterns.forEach((pattern) => {
+		const segments = pattern.split(/[\\/]/);
+		const globAt   = segments.findIndex((segment) => isGlob(segment));
+		const base     = path.resolve(cwd, -1 === globAt ? pattern : segments.slice(0, globAt).join('/') || '.');
+		const isFolder = existsSync(base) && statSync(base).isDirectory();
+		const root     = isFolder ? base : path.dirname(base);
+
+		// Files only need their own directory, anything else is watched recursively
+		roots.set(root, roots.get(root) || isFolder);
+	});
+
+	return [...roots].map((entry) => ({ directory: entry[0], recursive: entry[1] }));
+};
+
+/**
+ * Lists a directory and all its subdirectories, skipping the default ignored paths.
+ *
+ * @param {string} directory - The directory to list.
+ * @param {string} root      - The directory ignore patterns are relative to.
+ * @returns {string[]}
+ */
+const listDirectories = (directory, root) => {
+	const directories = [directory];
+
+	for (const entry of readdirSync(directory, { withFileTypes: true })) {
+		const fullPath = path.join(directory, entry.name);
+
+		if (entry.isDirectory() && !matchesAny(`${toPosixPath(path.relative(root, fullPath))}/`, defaultIgnores)) {
+			directories.push(...listDirectories(fullPath, root));
+		}
+	}
+
+	return directories;
+};
+
+/**
+ * Watches paths and reports the changed files in debounced batches.
+ * The callback receives a Set of absolute paths, or null when the platform did not report file names.
+ * Where recursive watching is unavailable, e.g. on Linux before Node 20, every directory gets its own watcher,
+ * including the directories created while watching. Returns a function that stops watching.
+ *
+ * @param {string[]} patterns - The files, directories or glob patterns to watch.
+ * @param {object}   options  - Object containing the `cwd`, the debounce `delay` in ms and the `onChange` callback.
+ * @throws {Error} If a directory cannot be watched.
+ * @returns {function}
+ */
+export const watchPaths = (patterns, options) => {
+	const watchers = new Map();
+	let changed = new Set();
+	let timer   = null;
+
+	/**
+	 * Flushes the pending changes to the callback.
+	 *
+	 * @returns {void}
+	 */
+	const flush = () => {
+		const batch = changed;
+
+		changed = new Set();
+		timer = null;
+		options.onChange(batch);
+	};
+
+	/**
+	 * Records a change reported by the watcher of a directory and restarts the debounce timer.
+	 *
+	 * @param {string}      directory - The watched directory.
+	 * @param {string|null} fileName  - The changed path relative to the directory, if reported.
+	 * @returns {void}
+	 */
+	const record = (directory, fileName) => {
+		if (changed) {
+			changed = fileName ? changed.add(path.join(directory, fileName.toString())) : null;
+		}
+
+		clearTimeout(timer);
+		timer = setTimeout(flush, options.delay);
+	};
+
+	/**
+	 * Watches every directory of a tree with its own watcher, extending the tree with the created directories.
+	 *
+	 * @param {string} directory - The root of the tree.
+	 * @param {string} root      - The directory ignore patterns are relative to.
+	 * @returns {void}
+	 */
+	const watchTree = (directory, root) => {
+		listDirectories(directory, root)
+			.filter((subdirectory) => !watchers.has(subdirectory))
+			.forEach((subdirectory) => {
+				const watcher = watch(subdirectory, (eventType, fileName) => {
+					const fullPath = fileName && path.join(subdirectory, fileName.toString());
+
+					if (fullPath && statSync(fullPath, { throwIfNoEntry: false })?.isDirectory()) {
+						watchTree(fullPath, root);
+					}
+
+					record(subdirectory, fileName);
+				});
+
+				watchers.set(subdirectory, watcher);
+			});
+	};
+
+	for (const root of getWatchRoots(patterns, options.cwd)) {
+		try {
+			const watcher = watch(root.directory, { recursive: root.recursive }, (eventType, fileName) => {
+				record(root.directory, fileName);
+			});
+
+			watchers.set(root.directory, watcher);
+		}
+		catch (error) {
+			if (!root.recursive || 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' !== error.code) throw error;
+
+			watchTree(root.directory, root.directory);
+		}
+	}
+
+	/**
+	 * Closes every watcher and drops pending changes.
+	 *
+	 * @returns {void}
+	 */
+	const close = () => {
+		clearTimeout(timer);
+		watchers.forEach((watcher) => watcher.close());
+	};
+
+	return close;
+};
@@ -0,0 +1,165 @@
+// Dependencies
+import { Worker } from 'node:worker_threads';
+
+/**
+ * Frakto Worker Pool - Distributes tasks across a fixed number of worker threads.
+ * Each worker handles one task at a time and is reused for the next queued task.
+ */
+class WorkerPool {
+	/**
+	 * Constructor - Initialize an empty pool. Workers are spawned lazily.
+	 *
+	 * @param {URL}    script - The worker module.
+	 * @param {number} size   - The maximum number of workers.
+	 * @returns {void}
+	 */
+	constructor(script, size) {
+		this.script = script;
+		this.size = Math.max(1, size);
+		this.workers = [];
+		this.idle = [];
+		this.queue = [];
+		this.active = new Map();
+	}
+
+	/**
+	 * Queues a task and resolves with the result posted back by a worker.
+	 *
+	 * @param {object} payload - The structured-cloneable task payload.
+	 * @returns {Promise<any>}
+	 */
+	run(payload) {
+		/**
+		 * Queues the task with the settlers of its promise.
+		 *
+		 * @param {function} resolve - The promise resolver.
+		 * @param {function} reject  - The promise rejecter.
+		 * @returns {void}
+		 */
+		const enqueue = (resolve, reject) => {
+			this.queue.push({ payload, resolve, reject });
+			this.schedule();
+		};
+
+		return new Promise(enqueue);
+	}
+
+	/**
+	 * Spawns a new worker and wires its events.
+	 *
+	 * @returns {Worker}
+	 */
+	spawn() {
+		const worker = new Worker(this.script);
+
+		worker.on('message', (message) => this.settle(worker, message));
+		worker.on('error', (error) => this.discard(worker, error));
+		worker.on('exit', (code) => {
+			if (0 !== code) this.discard(worker, new Error(`Worker stopped with exit code ${code}`));
+		});
+
+		this.workers.push(worker);
+
+		return worker;
+	}
+
+	/**
+	 * Hands queued tasks to idle workers, spawning new ones up to the pool size.
+	 *
+	 * @returns {void}
+	 */
+	schedule() {
+		while (this.queue.length) {
+			const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+			if (!worker) return;
+
+			const task = this.queue.shift();
+			this.active.set(worker, task);
+			worker.postMessage(task.payload);
+		}
+	}
+
+	/**
+	 * Settles the task of a worker with the message it posted.
+	 *
+	 * @param {Worker} worker  - The worker that finished.
+	 * @param {object} message - Object containing either the `result` or the `error` message.
+	 * @returns {void}
+	 */
+	settle(worker, message) {
+		const task = this.active.get(worker);
+		this.active.delete(worker);
+		this.idle.push(worker);
+
+		if (task && message.error) {
+			task.reject(new Error(message.error));
+		}
+		else if (task) {
+			task.resolve(message.result);
+		}
+
+		this.schedule();
+	}
+
+	/**
+	 * Removes a crashed worker from the pool and rejects its task.
+	 *
+	 * @param {Worker} worker - The crashed worker.
+	 * @param {Error}  error  - The crash reason.
+	 * @returns {void}
+	 */
+	discard(worker, error) {
+		const task = this.active.get(worker);
+
+		this.active.delete(worker);
+		this.workers = this.workers.filter((item) => item !== worker);
+		this.idle = this.idle.filter((item) => item !== worker);
+		task?.reject(error);
+
+		this.schedule();
+	}
+
+	/**
+	 * Terminates every worker of the pool.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		const workers = this.workers;
+
+		this.workers = [];
+		this.idle = [];
+		await Promise.all(workers.map((worker) => worker.terminate()));
+	}
+}
+
+/**
+ * Maps items through an async function with a concurrency limit, keeping the input order in the results.
+ *
+ * @param {any[]}    items    - The items to map.
+ * @param {number}   limit    - The maximum number of pending calls.
+ * @param {function} callback - The async mapping function.
+ * @returns {Promise<any>[]}
+ */
+export const mapConcurrent = async (items, limit, callback) => {
+	const results = new Array(items.length);
+	let next = 0;
+
+	/**
+	 * Processes items until none are left.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	const consume = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await callback(items[index], index);
+		}
+	};
+
+	await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, consume));
+
+	return results;
+};
+
+export default WorkerPool;
@@ -0,0 +1,13 @@
+/**
+ * Escapes a value for use in XML text and attribute values.
+ *
+ * @param {any} value - The value to escape.
+ * @returns {string}
+ */
+export const escapeXml = (value) =>
+	String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
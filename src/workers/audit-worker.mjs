@@ -0,0 +1,19 @@
+// Dependencies
+import FraktoAuditor from '../index.mjs';
+
+import { parentPort } from 'node:worker_threads';
+
+// Worker
+(() => {
+	const auditor = new FraktoAuditor();
+
+	parentPort.on('message', async (task) => {
+		try {
+			const result = await auditor.audit(task.language, task.request);
+			parentPort.postMessage({ result });
+		}
+		catch (error) {
+			parentPort.postMessage({ error: error.message });
+		}
+	});
+})();
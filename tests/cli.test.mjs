@@ -0,0 +1,49 @@
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { spawnSync } from 'node:child_process';
+import { afterEach, describe, expect, it } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+
+/**
+ * Absolute path of the CLI.
+ */
+const cliPath = fileURLToPath(new URL('../bin/cli.mjs', import.meta.url));
+
+/**
+ * Temporary directories created by the tests.
+ */
+const directories = [];
+
+/**
+ * Runs the CLI in a directory.
+ *
+ * @param {string}   cwd  - The working directory.
+ * @param {string[]} args - The CLI arguments.
+ * @returns {{status:number, stdout:string}}
+ */
+const runCli = (cwd, args) => spawnSync(process.execPath, [cliPath, ...args], { cwd, encoding: 'utf8' });
+
+afterEach(() => {
+	directories.splice(0).forEach((root) => rmSync(root, { recursive: true, force: true }));
+});
+
+describe('fraktoAudit both --check', () => {
+	it('reports the diagnostics of the unformatted file', { timeout: 60000 }, () => {
+		const root    = mkdtempSync(path.join(tmpdir(), 'frakto-cli-'));
+		const content = `\n\n\nexport const status = "Deployed ${String.fromCodePoint(0x1f680)}";\n`;
+
+		directories.push(root);
+		writeFileSync(path.join(root, 'index.mjs'), content, 'utf8');
+
+		const { status, stdout } = runCli(root, ['both', 'index.mjs', '--check', '--no-cache', '--format', 'json']);
+		const [report] = JSON.parse(stdout);
+
+		expect(status).toBe(2);
+		expect(report.diagnostics).toMatchObject([{ code: 'no-emoji', line: 4, column: 33 }]);
+		expect(readFileSync(path.join(root, 'index.mjs'), 'utf8')).toBe(content);
+	});
+});
@@ -0,0 +1,31 @@
+// Dependencies
+import path from 'node:path';
+
+import { tmpdir } from 'node:os';
+import { expandPaths } from '../src/utils/files.mjs';
+import { afterEach, describe, expect, it } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+
+/**
+ * Temporary directories created by the tests.
+ */
+const directories = [];
+
+afterEach(() => {
+	directories.splice(0).forEach((root) => rmSync(root, { recursive: true, force: true }));
+});
+
+describe('expandPaths', () => {
+	it('expands globs from a cwd containing glob syntax', () => {
+		const root = mkdtempSync(path.join(tmpdir(), 'frakto-[files]{a,b}-'));
+		const file = path.join(root, 'src/nested/index.mjs');
+
+		directories.push(root);
+		mkdirSync(path.dirname(file), { recursive: true });
+		writeFileSync(file, 'export const a = 1;\n', 'utf8');
+
+		expect(expandPaths(['src/**/*.mjs'], { cwd: root })).toEqual([file]);
+		expect(expandPaths(['./src/*/index.mjs'], { cwd: root })).toEqual([file]);
+		expect(expandPaths(['nested/*.mjs'], { cwd: path.join(root, 'src') })).toEqual([file]);
+	});
+});
@@ -0,0 +1,81 @@
+// Dependencies
+import path from 'node:path';
+import process from 'node:process';
+
+import { tmpdir } from 'node:os';
+import { installHooks } from '../src/utils/hooks.mjs';
+import { afterEach, describe, expect, it } from 'vitest';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+
+// Settings passed through the environment, such as a forced core.hooksPath, would move the hooks
+// out of the temporary repositories.
+delete process.env.GIT_CONFIG_COUNT;
+
+/**
+ * Temporary repositories created by the tests.
+ */
+const repositories = [];
+
+/**
+ * Creates an empty git repository in a temporary directory.
+ *
+ * @returns {string}
+ */
+const createRepository = () => {
+	const root = mkdtempSync(path.join(tmpdir(), 'frakto-hooks-'));
+
+	execFileSync('git', ['init', '-q'], { cwd: root });
+	repositories.push(root);
+
+	return root;
+};
+
+/**
+ * Stages a file and runs the pre-commit hook with `sh -e`, as Husky does.
+ *
+ * @param {string} root    - The repository root.
+ * @param {string} content - The content of the staged file.
+ * @returns {number}
+ */
+const runPreCommit = (root, content) => {
+	writeFileSync(path.join(root, 'index.mjs'), content, 'utf8');
+	execFileSync('git', ['add', 'index.mjs'], { cwd: root });
+
+	return spawnSync('sh', ['-e', path.join(root, '.git/hooks/pre-commit')], { cwd: root, encoding: 'utf8' }).status;
+};
+
+afterEach(() => {
+	repositories.splice(0).forEach((root) => rmSync(root, { recursive: true, force: true }));
+});
+
+describe('installHooks', () => {
+	it('lets warnings through when the hook runs with sh -e', { timeout: 60000 }, () => {
+		const root = createRepository();
+		installHooks(root);
+
+		expect(runPreCommit(root, 'const unused = 1;\n')).toBe(0);
+	});
+
+	it('blocks errors when the hook runs with sh -e', { timeout: 60000 }, () => {
+		const root = createRepository();
+		installHooks(root);
+
+		expect(runPreCommit(root, `export const status = 'Deployed ${String.fromCodePoint(0x1f680)}';\n`)).toBe(2);
+	});
+
+	it('inserts the block after the husky.sh setup line', () => {
+		const root     = createRepository();
+		const hookPath = path.join(root, '.husky/pre-commit');
+		const setup    = '. "$(dirname -- "$0")/_/husky.sh"';
+
+		mkdirSync(path.dirname(hookPath));
+		writeFileSync(hookPath, `#!/usr/bin/env sh\n${setup}\n\nnpm test\n`, 'utf8');
+		installHooks(root);
+
+		const script = readFileSync(hookPath, 'utf8');
+
+		expect(script.startsWith(`#!/usr/bin/env sh\n${setup}\n# frakto-coding-standards:start`)).toBe(true);
+		expect(script.endsWith('\nnpm test\n')).toBe(true);
+	});
+});
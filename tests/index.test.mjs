@@ -0,0 +1,103 @@
+// Dependencies
+import path from 'node:path';
+import FraktoAuditor from '../src/index.mjs';
+
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { afterEach, describe, expect, it } from 'vitest';
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+
+/**
+ * Temporary directories created by the tests.
+ */
+const directories = [];
+
+/**
+ * Creates a temporary directory holding the given files.
+ *
+ * @param {object} files - The file contents, keyed by their path relative to the directory.
+ * @returns {string}
+ */
+const createDirectory = (files) => {
+	const root = mkdtempSync(path.join(tmpdir(), 'frakto-auditor-'));
+	directories.push(root);
+
+	for (const [filePath, content] of Object.entries(files)) {
+		mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+		writeFileSync(path.join(root, filePath), content, 'utf8');
+	}
+
+	return root;
+};
+
+afterEach(() => {
+	directories.splice(0).forEach((root) => rmSync(root, { recursive: true, force: true }));
+});
+
+describe('FraktoAuditor.listFiles', () => {
+	it('skips ignored staged files', () => {
+		const root = createDirectory({
+			'src/index.mjs': 'export const a = 1;\n',
+			'vendor/package/index.mjs': 'export const b = 1;\n',
+			'node_modules/package/index.mjs': 'export const c = 1;\n',
+			'dist/index.mjs': 'export const d = 1;\n'
+		});
+
+		execFileSync('git', ['init', '-q'], { cwd: root });
+		execFileSync('git', ['add', '-f', '.'], { cwd: root });
+
+		const auditor = new FraktoAuditor();
+		const listed  = auditor.listFiles([], { cwd: root, staged: true, ignore: ['dist/**'] });
+
+		expect(listed).toEqual([path.join(root, 'src/index.mjs')]);
+		expect(auditor.listFiles(['vendor/**/*.mjs'], { cwd: root, staged: true })).toEqual([]);
+	});
+});
+
+describe('FraktoAuditor.auditFile', () => {
+	it('rejects tools that do not apply to a language', async () => {
+		const root = createDirectory({
+			'frakto.config.mjs': 'export default { languages: { yaml: { eslint: true } } };\n',
+			'config.yaml': 'name: frakto\n'
+		});
+
+		const result = await new FraktoAuditor().auditFile('config.yaml', { cwd: root });
+
+		expect(result.error?.message).toBe(
+			`Unknown tool "eslint" for yaml in ${path.join(root, 'frakto.config.mjs')}: yaml uses prettier, emoji.`
+		);
+	});
+
+	it('picks up an edited Prettier configuration', async () => {
+		const root = createDirectory({
+			'frakto.config.mjs': "export default { configs: { javascript: { prettier: './prettier.config.mjs' } } };\n",
+			'prettier.config.mjs': 'export default { semi: true };\n',
+			'index.mjs': 'export const a = 1\n'
+		});
+		const auditor = new FraktoAuditor();
+
+		expect((await auditor.auditFile('index.mjs', { cwd: root, mode: 'format' })).formatted).toBe(
+			'export const a = 1;\n'
+		);
+
+		// Move the modification time forward, as a fast edit can keep the same one
+		writeFileSync(path.join(root, 'prettier.config.mjs'), 'export default { semi: false };\n', 'utf8');
+		utimesSync(path.join(root, 'prettier.config.mjs'), new Date(), new Date(Date.now() + 1000));
+
+		expect((await auditor.auditFile('index.mjs', { cwd: root, mode: 'format' })).formatted).toBe(
+			'export const a = 1\n'
+		);
+	});
+});
+
+describe('FraktoAuditor.parseDirectives', () => {
+	it('only parses content mentioning a directive', async () => {
+		const auditor = new FraktoAuditor();
+		const code    = "// frakto-disable-next-line no-emoji\nexport const a = 'Deployed';\n";
+
+		expect(await auditor.parseDirectives("export const a = '/* frakto */';\n", 'javascript')).toEqual([]);
+		expect(await auditor.parseDirectives(code, 'javascript')).toMatchObject([
+			{ type: 'disable-next-line', codes: ['no-emoji'], line: 1 }
+		]);
+	});
+});
@@ -0,0 +1,37 @@
+// Dependencies
+import rule from '../../src/tools/eslint-plugin/rules/separate-control-keywords.mjs';
+
+import { RuleTester } from 'eslint';
+import { describe, it } from 'vitest';
+
+RuleTester.describe = describe;
+RuleTester.it = it;
+RuleTester.itOnly = it.only;
+
+new RuleTester().run('separate-control-keywords', rule, {
+	valid: [
+		'if (ready) {\n\tstart();\n}\nelse {\n\twait();\n}',
+		'try {\n\tstart();\n}\ncatch (error) {\n\treport(error);\n}\nfinally {\n\tstop();\n}',
+		'try {\n\tstart();\n}\nfinally {\n\tstop();\n}'
+	],
+	invalid: [
+		{
+			code: 'if (ready) {\n\tstart();\n} else {\n\twait();\n}',
+			output: 'if (ready) {\n\tstart();\n}\nelse {\n\twait();\n}',
+			errors: [{ message: 'Expected "else" to be on a new line.' }]
+		},
+		{
+			code: 'try {\n\tstart();\n} catch (error) {\n\treport(error);\n} finally {\n\tstop();\n}',
+			output: 'try {\n\tstart();\n}\ncatch (error) {\n\treport(error);\n}\nfinally {\n\tstop();\n}',
+			errors: [
+				{ message: 'Expected "catch" to be on a new line.' },
+				{ message: 'Expected "finally" to be on a new line.' }
+			]
+		},
+		{
+			code: '\ttry {\n\t\tstart();\n\t} finally {\n\t\tstop();\n\t}',
+			output: '\ttry {\n\t\tstart();\n\t}\n\tfinally {\n\t\tstop();\n\t}',
+			errors: [{ message: 'Expected "finally" to be on a new line.', line: 3, column: 4 }]
+		}
+	]
+});